@@ -16,15 +16,67 @@
 module.exports = Cloudant;
 
 var Nano = require('cloudant-nano');
-var debug = require('debug')('cloudant');
-var nanodebug = require('debug')('nano');
+// masks credentials in values, including everything the library logs
+var redact = require('./lib/redact.js');
+var debug = redact.debug('cloudant');
+var nanodebug = redact.debug('nano');
 var async = require('async');
+var stream = require('stream');
 
 // function from the old Cloudant library to
 // parse an object { account: "myaccount", password: "mypassword"}
 // and return a URL
 var reconfigure = require('./lib/reconfigure.js');
 
+// combines one or more request plugins into a single request function
+var pipeline = require('./lib/pipeline.js');
+
+// returns a Promise from callback-style functions called without a callback
+var promisify = require('./lib/promisify.js');
+
+// follows the bookmarks of paged queries
+var paginate = require('./lib/paginate.js');
+
+// builds Cloudant Search queries and normalizes their results
+var search = require('./lib/search.js');
+
+// builds and validates Cloudant Query queries and evaluates their selectors
+// locally
+var mango = require('./lib/query.js');
+
+// plans the changes needed to synchronise Cloudant Query indexes
+var indexsync = require('./lib/indexsync.js');
+
+// warns about Cloudant Query queries which aren't served by an index
+var fullscan = require('./lib/fullscan.js');
+
+// the CloudantError hierarchy
+var errors = require('./lib/errors.js');
+
+// limits the requests in flight and their rates
+var createThrottle = require('./lib/throttle.js');
+
+// batches single document reads into POST /_bulk_get
+var batchget = require('./lib/batchget.js');
+
+// coalesces document writes into POST /_bulk_docs
+var bulkwriter = require('./lib/bulkwriter.js');
+
+// updates a document, retrying on conflicts
+var atomicupdate = require('./lib/atomicupdate.js');
+
+// follows the changes feed, saving checkpoints
+var changesreader = require('./lib/changesreader.js');
+
+// manages _replicator documents
+var replication = require('./lib/replication.js');
+
+// backs databases up to and restores them from streams
+var backup = require('./lib/backup.js');
+
+// scopes requests to a partition of a partitioned database
+var partition = require('./lib/partition.js');
+
 // This IS the Cloudant API. It is mostly nano, with a few functions.
 function Cloudant(options, callback) {
   debug('Initialize', options);
@@ -57,16 +109,17 @@ function Cloudant(options, callback) {
   }
   if (theurl === null) {
     if (callback) {
-      return callback('invalid url', null); // eslint-disable-line standard/no-callback-literal
+      return callback(new errors.CloudantError('invalid url'), null);
     } else {
-      throw (new Error('invalid url'));
+      throw (new errors.CloudantError('invalid url'));
     }
   }
 
   // keep connections alive by default
+  var agent = null;
   if (requestDefaults && !requestDefaults.agent) {
     var protocol = (theurl.match(/^https/)) ? require('https') : require('http');
-    var agent = new protocol.Agent({
+    agent = new protocol.Agent({
       keepAlive: true,
       keepAliveMsecs: 30000,
       maxSockets: 6
@@ -74,54 +127,254 @@ function Cloudant(options, callback) {
     requestDefaults.agent = agent;
   }
 
+  // once the client has been closed, requests fail straight away
+  var closed = false;
+  var closedError = function() {
+    return new errors.CloudantError('The client has been closed', { code: 'ERR_CLIENT_CLOSED' });
+  };
+  var failClosed = function(callback) {
+    var err = closedError();
+    var s = new stream.PassThrough();
+    setImmediate(function() {
+      if (typeof callback === 'function') {
+        callback(err);
+      } else {
+        s.emit('error', err);
+      }
+    });
+    return s;
+  };
+
+  // HTTP requests in flight, so that close() can wait for or abort them
+  var inflight = [];
+  var drained = [];
+  var httpRequest = require('request').defaults(requestDefaults);
+  var track = function(req, callback) {
+    if (closed) {
+      return failClosed(callback);
+    }
+    var r = null;
+    var aborted = false;
+    var untrack = function() {
+      var i = inflight.indexOf(r);
+      if (i > -1) {
+        inflight.splice(i, 1);
+      }
+      if (inflight.length === 0) {
+        drained.splice(0).forEach(function(fn) {
+          fn();
+        });
+      }
+    };
+    r = httpRequest(req, typeof callback === 'function' ? function() {
+      // let the caller see the response before close() completes
+      try {
+        if (!aborted) {
+          callback.apply(this, arguments);
+        }
+      } finally {
+        untrack();
+      }
+    } : undefined);
+    inflight.push(r);
+    r.on('complete', untrack).on('error', untrack).on('abort', function() {
+      aborted = true;
+      untrack();
+      var err = new errors.CloudantError('The request was aborted as the client was closed', { code: 'ERR_CLIENT_CLOSED' });
+      if (typeof callback === 'function') {
+        callback(err);
+      } else {
+        r.emit('error', err);
+      }
+    });
+    return r;
+  };
+
+  // queue requests to stay within the throttle's limits, if any
+  var throttle = createThrottle(typeof options === 'object' && options.throttle);
+  var terminal = function(req, callback) {
+    return throttle(req, callback, track);
+  };
+
   // plugin a request library
   var plugin = null;
   if (options.plugin) {
     options.requestDefaults = requestDefaults;
-    if (typeof options.plugin === 'string') {
-      var plugintype = options.plugin || 'default';
-      debug('Using the "' + plugintype + '" plugin');
-      plugin = require('./plugins/' + plugintype)(options);
-    } else if (typeof options.plugin === 'function') {
+    if (typeof options.plugin === 'function') {
+      // a single custom plugin replaces the request library entirely
       debug('Using a custom plugin');
       plugin = options.plugin;
+    } else {
+      plugin = pipeline(options.plugin, options, terminal);
     }
   }
+  var nanoRequest = function(req, callback) {
+    if (closed) {
+      return failClosed(callback);
+    }
+    return (plugin || terminal)(req, callback);
+  };
 
   debug('Create underlying Nano instance, options=%j requestDefaults=%j', options, requestDefaults);
-  var nano = Nano({url: theurl, request: plugin, requestDefaults: requestDefaults, cookie: cookie, log: nanodebug});
+  var nano = Nano({url: theurl, request: nanoRequest, requestDefaults: requestDefaults, cookie: cookie, log: nanodebug});
+
+  // make a request with the underlying Nano instance, returning a Promise
+  // rather than a stream when no callback is given
+  var request = function(opts, callback) {
+    return promisify(callback, function(cb) {
+      return nano.request(opts, cb);
+    });
+  };
+
+  // optionally check which index Cloudant Query queries use, warning about
+  // those which would scan the whole database
+  var checkFullScan = null;
+  if (typeof options === 'object' && options.warnOnFullScan) {
+    checkFullScan = fullscan(options.warnOnFullScan);
+  }
+
+  // the batchedGet() batches of each database, shared by its db objects
+  var batchers = {};
+  var batching = (typeof options === 'object' && options.batching) || {};
+
+  // the databases known to be partitioned, whose document ids are checked.
+  // This is opt-in: other databases aren't looked up.
+  var partitioned = {};
 
   // our own implementation of 'use' e.g. nano.use or nano.db.use
   // it includes all db-level functions
-  var use = function(db) {
+  // opts.partitioned - the database is partitioned
+  var use = function(db, opts) {
+    if (opts && opts.partitioned) {
+      partitioned[db] = true;
+    }
+
     // ****************
     // Functions added to each db e.g. cloudant.use("mydb")
     // ****************
 
     var bulk_get = function(options, callback) { // eslint-disable-line camelcase
-      return nano.request({ path: encodeURIComponent(db) + '/_bulk_get',
+      return request({ path: encodeURIComponent(db) + '/_bulk_get',
         method: 'post',
         body: options }, callback);
     };
 
+    // get a document, batched together with the others asked for within a
+    // short window into a single POST /_bulk_get
+    // opts.rev - the revision of the document to get
+    var batchedGet = function(id, opts, callback) {
+      if (typeof opts === 'function') {
+        callback = opts;
+        opts = {};
+      }
+      return promisify(callback, function(cb) {
+        if (typeof id !== 'string' || !id) {
+          return cb(new errors.CloudantError('batchedGet() must be given a document id'));
+        }
+        if (!batchers[db]) {
+          batchers[db] = batchget(db, function(docs, callback) {
+            bulk_get({ docs: docs }, callback);
+          }, batching);
+        }
+        batchers[db](id, opts, cb);
+      });
+    };
+
+    // a writable object stream which saves the documents written to it in
+    // POST /_bulk_docs batches
+    // opts.batchSize - the number of documents in each batch
+    // opts.flushInterval - how long a partial batch waits, in milliseconds
+    // opts.concurrency - the number of batches in flight at once
+    var bulkWriter = function(opts) {
+      return bulkwriter(db, function(docs, callback) {
+        // documents with ids which aren't valid in a partitioned database
+        // fail on their own, as _bulk_docs reports them
+        var problems = docs.map(function(doc) {
+          return partitioned[db] ? partition.checkId(doc._id) : null;
+        });
+        var valid = docs.filter(function(doc, i) {
+          return !problems[i];
+        });
+        var results = function(saved) {
+          return problems.map(function(problem, i) {
+            return problem ? { id: docs[i]._id, error: 'bad_request', reason: problem } : saved.shift();
+          });
+        };
+        if (valid.length === 0) {
+          return setImmediate(callback, null, results([]));
+        }
+        request({ path: encodeURIComponent(db) + '/_bulk_docs',
+          method: 'post',
+          body: { docs: valid } }, function(err, data) {
+          callback(err, Array.isArray(data) ? results(data.slice()) : data);
+        });
+      }, opts);
+    };
+
+    // apply a change to the latest revision of a document, starting again if
+    // it conflicts with another update, and call back with the saved document
+    // opts.maxRetries - the number of times to retry on a conflict
+    // opts.createIfMissing - create the document if it doesn't exist, from
+    //   this object if it is one
+    var atomicUpdate = function(id, mutator, opts, callback) {
+      if (typeof opts === 'function') {
+        callback = opts;
+        opts = {};
+      }
+      return promisify(callback, function(cb) {
+        atomicupdate(obj, id, mutator, opts, cb);
+      });
+    };
+
+    // follow the changes feed as a readable object stream, carrying on after
+    // errors and optionally saving checkpoints to resume from
+    // opts.since - the sequence to start from, '0' by default
+    // opts.filter - the name of a filter function, or opts.selector - a
+    //   Cloudant Query selector the documents must match
+    // opts.batchSize - the number of changes to fetch at a time
+    // opts.seqInterval - how often a change has its seq, the batchSize by
+    //   default or null for every change
+    // opts.checkpoint - the name of the _local document to save checkpoints in
+    var changesReader = function(opts) {
+      return changesreader(db, request, opts);
+    };
+
+    // back the database up to a writable stream as newline-delimited JSON,
+    // returning an EventEmitter which emits 'progress' and 'finished'
+    // opts.mode - 'full' to include revision histories or 'shallow'
+    // opts.batchSize - the number of documents in each line
+    // opts.log, opts.resume - the file to log progress to, and whether to
+    //   resume from it
+    var dbBackup = function(out, opts, callback) {
+      return backup(db, request, out, opts, callback);
+    };
+
+    // restore a backup from a readable stream into the database, returning an
+    // EventEmitter which emits 'progress' and 'finished'
+    // opts.concurrency - the number of batches to restore at once
+    // opts.log, opts.resume - as for backup()
+    var dbRestore = function(input, opts, callback) {
+      return backup.restore(db, request, input, opts, callback);
+    };
+
     // https://docs.cloudant.com/geo.html
     var geo = function(docName, indexName, query, callback) {
       var path = encodeURIComponent(db) + '/_design/' +
                  encodeURIComponent(docName) + '/_geo/' +
                  encodeURIComponent(indexName);
-      return nano.request({path: path, qs: query}, callback);
+      return request({path: path, qs: query}, callback);
     };
 
     // https://docs.cloudant.com/api.html#viewing-permissions
     var get_security = function(callback) { // eslint-disable-line camelcase
       var path = '_api/v2/db/' + encodeURIComponent(db) + '/_security'; // eslint-disable-line camelcase
-      return nano.request({ path: path }, callback);
+      return request({ path: path }, callback);
     };
 
     // https://docs.cloudant.com/api.html#modifying-permissions
     var set_security = function(permissions, callback) { // eslint-disable-line camelcase
       var path = '_api/v2/db/' + encodeURIComponent(db) + '/_security';
-      return nano.request({ path: path,
+      return request({ path: path,
         method: 'put',
         body: {cloudant: permissions} }, callback);
     };
@@ -130,12 +383,16 @@ function Cloudant(options, callback) {
     // https://docs.cloudant.com/api.html#creating-a-new-index
     var index = function(definition, callback) {
       // if no definition is provided, then the user wants see all the indexes
-      if (typeof definition === 'function') {
+      if (typeof definition === 'function' || definition === undefined) {
         callback = definition;
-        nano.request({ path: encodeURIComponent(db) + '/_index' }, callback);
+        return request({ path: encodeURIComponent(db) + '/_index' }, callback);
       } else {
-        // the user wants to create a new index
-        return nano.request({ path: encodeURIComponent(db) + '/_index',
+        // the user wants to create a new index, which is a partitioned one
+        // in a partitioned database unless it has partitioned: false
+        if (definition.partitioned !== undefined && typeof definition.partitioned !== 'boolean') {
+          throw new Error('index() "partitioned" must be true or false');
+        }
+        return request({ path: encodeURIComponent(db) + '/_index',
           method: 'post',
           body: definition}, callback);
       }
@@ -151,25 +408,231 @@ function Cloudant(options, callback) {
                  encodeURIComponent(spec.ddoc) + '/' +
                  encodeURIComponent(type) + '/' +
                  encodeURIComponent(spec.name);
-      return nano.request({ path: path, method: 'delete' }, callback);
+      return request({ path: path, method: 'delete' }, callback);
+    };
+
+    // bring the database's Cloudant Query indexes into line with a list of
+    // index definitions, calling back with the plan of changes made
+    // opts.prune - delete existing indexes which aren't in the list
+    // opts.dryRun - return the plan without making any changes
+    var index_sync = function(definitions, opts, callback) { // eslint-disable-line camelcase
+      if (typeof opts === 'function') {
+        callback = opts;
+        opts = {};
+      }
+      opts = opts || {};
+      return promisify(callback, function(cb) {
+        index(function(err, data) {
+          if (err) {
+            return cb(err);
+          }
+          var plan;
+          try {
+            plan = indexsync(data.indexes, definitions || [], opts);
+          } catch (e) {
+            return cb(e);
+          }
+          plan.dryRun = !!opts.dryRun;
+          if (opts.dryRun) {
+            return cb(null, plan);
+          }
+
+          var remove = function(entry, done) {
+            index_del({ ddoc: entry.ddoc.replace(/^_design\//, ''),
+              name: entry.name,
+              type: entry.type }, function(err) {
+              done(err);
+            });
+          };
+          var create = function(entry, done) {
+            index(entry.definition, function(err) {
+              done(err);
+            });
+          };
+
+          // replace changed indexes, deleting each one before recreating it
+          // under the same name, so queries which use a changed index are
+          // without it until it's rebuilt. Then create the new ones and only
+          // then remove the obsolete ones, which queries can use meanwhile.
+          async.series([
+            function(done) {
+              async.eachSeries(plan.update, function(entry, next) {
+                remove(entry, function(err) {
+                  if (err) {
+                    return next(err);
+                  }
+                  create(entry, next);
+                });
+              }, done);
+            },
+            function(done) {
+              async.eachSeries(plan.create, create, done);
+            },
+            function(done) {
+              async.eachSeries(plan.delete, remove, done);
+            }
+          ], function(err) {
+            cb(err, err ? undefined : plan);
+          });
+        });
+      });
+    };
+
+    // https://console.bluemix.net/docs/services/Cloudant/api/cloudant_query.html#explain-plans
+    var explain = function(query, callback) {
+      query = mango.params(query);
+      return request({ path: encodeURIComponent(db) + '/_explain',
+        method: 'post',
+        body: query}, callback);
     };
 
     // https://docs.cloudant.com/api.html#finding-documents-using-an-index
     var find = function(query, callback) {
-      return nano.request({ path: encodeURIComponent(db) + '/_find',
+      query = mango.params(query);
+      if (checkFullScan) {
+        checkFullScan(db, query, explain);
+      }
+      return request({ path: encodeURIComponent(db) + '/_find',
         method: 'post',
         body: query}, callback);
     };
 
+    // page through all the results of a Cloudant Query, returning a readable
+    // object stream (and async iterator) of documents. The query's limit is
+    // the total number of documents unless opts.limit is given.
+    var findAll = function(query, opts) {
+      query = Object.assign({}, mango.params(query));
+      opts = Object.assign({}, opts);
+      if (query.limit !== undefined && opts.limit === undefined) {
+        opts.limit = query.limit;
+      }
+      delete query.limit;
+      if (checkFullScan) {
+        checkFullScan(db, query, explain);
+      }
+      return paginate(function(bookmark, limit, callback) {
+        var body = Object.assign({}, query, { limit: limit });
+        if (bookmark) {
+          body.bookmark = bookmark;
+        }
+        request({ path: encodeURIComponent(db) + '/_find',
+          method: 'post',
+          body: body }, function(err, data) {
+          callback(err, data && data.docs, data && data.bookmark);
+        });
+      }, { pageSize: opts.pageSize, limit: opts.limit, bookmark: query.bookmark });
+    };
+
+    // page through all the results of a Cloudant Search query, returning a
+    // readable object stream (and async iterator) of rows. The query may be a
+    // Lucene string, a parameters object or a Cloudant.search.query() builder.
+    // Normalized facets are emitted as a 'facets' event with the first page.
+    // As with findAll(), the query's limit is the total number of rows unless
+    // opts.limit is given.
+    var searchAll = function(ddoc, viewName, query, opts) {
+      var params = Object.assign({}, search.params(query));
+      var first = true;
+      opts = Object.assign({}, opts);
+      if (params.limit !== undefined && opts.limit === undefined) {
+        opts.limit = params.limit;
+      }
+      delete params.limit;
+      var s = paginate(function(bookmark, limit, callback) {
+        var body = Object.assign({}, params, { limit: limit });
+        if (bookmark) {
+          body.bookmark = bookmark;
+        }
+        request({ path: encodeURIComponent(db) + '/_design/' +
+                        encodeURIComponent(ddoc) + '/_search/' +
+                        encodeURIComponent(viewName),
+          method: 'post',
+          body: body }, function(err, data) {
+          if (!err && first) {
+            first = false;
+            s.emit('facets', search.normalizeFacets(data));
+          }
+          // grouped results can't be paged so come back as a single page
+          if (data && data.groups) {
+            return callback(err, data.groups, null);
+          }
+          callback(err, data && data.rows, data && data.bookmark);
+        });
+      }, { pageSize: opts.pageSize, limit: opts.limit, bookmark: params.bookmark });
+      return s;
+    };
+
+    // a Cloudant Query builder which can run its query in this database
+    // e.g. db.query().where('type').eq('order').and('total').gt(100).find()
+    var query = function() {
+      return new mango.MangoQuery(obj);
+    };
+
+    // requests scoped to a partition of a partitioned database
+    // e.g. db.partition('sensor-123').find({ selector: { type: 'reading' } })
+    var dbPartition = function(key) {
+      return partition(db, key, request, checkFullScan);
+    };
+
     // add Cloudant special functions
-    var obj = nano._use(db);
+    var obj = errors.wrapScope(nano._use(db));
     obj.geo = geo;
     obj.bulk_get = bulk_get; // eslint-disable-line camelcase
+    obj.batchedGet = batchedGet;
+    obj.bulkWriter = bulkWriter;
+    obj.atomicUpdate = atomicUpdate;
+    obj.changesReader = changesReader;
+    obj.backup = dbBackup;
+    obj.restore = dbRestore;
     obj.get_security = get_security; // eslint-disable-line camelcase
     obj.set_security = set_security; // eslint-disable-line camelcase
     obj.index = index;
     obj.index.del = index_del; // eslint-disable-line camelcase
+    obj.index.sync = index_sync; // eslint-disable-line camelcase
     obj.find = find;
+    obj.explain = explain;
+    obj.findAll = findAll;
+    obj.query = query;
+    obj.searchAll = searchAll;
+    obj.partition = dbPartition;
+
+    // check the ids of documents written to a partitioned database, failing
+    // with the first invalid one through the callback or Promise
+    var idError = function(ids) {
+      if (!partitioned[db]) {
+        return null;
+      }
+      for (var i = 0; i < ids.length; i++) {
+        var err = partition.idError(ids[i]);
+        if (err) {
+          return err;
+        }
+      }
+      return null;
+    };
+    var fail = function(err, callback) {
+      return promisify(callback, function(cb) {
+        setImmediate(cb, err);
+      });
+    };
+    var insert = obj.insert;
+    obj.insert = function(doc, params, callback) {
+      var id = typeof params === 'string' ? params : (params && params.docName);
+      var err = idError([id || (doc && doc._id)]);
+      if (err) {
+        return fail(err, typeof params === 'function' ? params : callback);
+      }
+      return insert.apply(obj, arguments);
+    };
+    var bulk = obj.bulk;
+    obj.bulk = function(docs, params, callback) {
+      var err = idError(((docs && docs.docs) || []).map(function(doc) {
+        return doc._id;
+      }));
+      if (err) {
+        return fail(err, typeof params === 'function' ? params : callback);
+      }
+      return bulk.apply(obj, arguments);
+    };
 
     return obj;
   };
@@ -178,19 +641,38 @@ function Cloudant(options, callback) {
   nano._use = nano.use;
   nano.use = nano.db.use = use;
 
+  // create a database, with options such as {partitioned: true}. Like
+  // nano's own function it returns the request stream (or the Promise of the
+  // 'promises' plugin) whether or not there are options.
+  nano.db.create = function(db, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+    opts = opts || {};
+    return nano.request({ db: db, method: 'PUT', qs: opts }, function(err, data, headers) {
+      if (!err && opts.partitioned) {
+        partitioned[db] = true;
+      }
+      if (callback) {
+        callback(err, data, headers);
+      }
+    });
+  };
+
   // https://docs.cloudant.com/api.html#creating-api-keys
   var generate_api_key = function(callback) { // eslint-disable-line camelcase
-    return nano.request({ path: '_api/v2/api_keys', method: 'post' }, callback);
+    return request({ path: '_api/v2/api_keys', method: 'post' }, callback);
   };
 
   // https://docs.cloudant.com/api.html#reading-the-cors-configuration
   var get_cors = function(callback) { // eslint-disable-line camelcase
-    return nano.request({ path: '_api/v2/user/config/cors' }, callback);
+    return request({ path: '_api/v2/user/config/cors' }, callback);
   };
 
   // https://docs.cloudant.com/api.html#setting-the-cors-configuration
   var set_cors = function(configuration, callback) { // eslint-disable-line camelcase
-    return nano.request({path: '_api/v2/user/config/cors',
+    return request({path: '_api/v2/user/config/cors',
       method: 'put',
       body: configuration }, callback);
   };
@@ -198,33 +680,62 @@ function Cloudant(options, callback) {
   // the /set_permissions API call is deprecated
   var set_permissions = function(opts, callback) { // eslint-disable-line camelcase
     console.error('set_permissions is deprecated. use set_security instead');
-    callback(null, null);
+    return promisify(callback, function(cb) {
+      cb(null, null);
+    });
   };
 
   // https://docs.cloudant.com/api.html#setting-the-cors-configuration
   set_cors = function(configuration, callback) { // eslint-disable-line camelcase
-    return nano.request({path: '_api/v2/user/config/cors',
+    return request({path: '_api/v2/user/config/cors',
       method: 'put',
       body: configuration }, callback);
   };
 
   var get_virtual_hosts = function(callback) { // eslint-disable-line camelcase
-    return nano.request({path: '_api/v2/user/virtual_hosts',
+    return request({path: '_api/v2/user/virtual_hosts',
       method: 'get'}, callback);
   };
 
   var add_virtual_host = function(opts, callback) { // eslint-disable-line camelcase
-    return nano.request({path: '_api/v2/user/virtual_hosts',
+    return request({path: '_api/v2/user/virtual_hosts',
       method: 'post',
       body: opts }, callback);
   };
 
   var delete_virtual_host = function(opts, callback) { // eslint-disable-line camelcase
-    return nano.request({path: '_api/v2/user/virtual_hosts',
+    return request({path: '_api/v2/user/virtual_hosts',
       method: 'delete',
       body: opts }, callback);
   };
 
+  // follow the account's database updates feed as a readable object stream,
+  // emitting 'created', 'updated' and 'deleted' events
+  // opts.since - the sequence to start from, '0' by default
+  // opts.feed - 'longpoll' to keep following or 'normal' to stop once caught up
+  // opts.checkpoint, opts.checkpointDb - the _local document and database to
+  //   save checkpoints in
+  var dbUpdates = function(opts) {
+    return changesreader.dbUpdates(request, opts);
+  };
+
+  // manage replications with _replicator documents and the scheduler API,
+  // authenticating databases in this account as the client does
+  var replicator = replication(request, {
+    url: theurl,
+    iamApiKey: typeof options === 'object' ? options.iamApiKey : undefined,
+    cookie: cookie
+  });
+  var replicationFunction = function(fn) {
+    return function() {
+      var args = Array.prototype.slice.call(arguments);
+      var callback = (typeof args[args.length - 1] === 'function') ? args.pop() : null;
+      return promisify(callback, function(cb) {
+        return fn.apply(null, args.concat(cb));
+      });
+    };
+  };
+
   // add top-level Cloudant-specific functions
   nano.ping = ping;
   nano.get_cors = get_cors; // eslint-disable-line camelcase
@@ -234,6 +745,76 @@ function Cloudant(options, callback) {
   nano.get_virtual_hosts = get_virtual_hosts; // eslint-disable-line camelcase
   nano.add_virtual_host = add_virtual_host; // eslint-disable-line camelcase
   nano.delete_virtual_host = delete_virtual_host; // eslint-disable-line camelcase
+  nano.dbUpdates = dbUpdates;
+  nano.replication = {
+    start: replicationFunction(replicator.start),
+    status: replicationFunction(replicator.status),
+    list: replicationFunction(replicator.list),
+    cancel: replicationFunction(replicator.cancel),
+    waitFor: replicationFunction(replicator.waitFor)
+  };
+
+  // forget any session cookies, including the one from the automatic ping,
+  // and stop the plugins refreshing them
+  var plugins = (plugin && plugin.plugins) || (plugin ? [plugin] : []);
+  nano.logout = function() {
+    if (requestDefaults.headers) {
+      delete requestDefaults.headers.cookie;
+    }
+    plugins.forEach(function(p) {
+      if (typeof p.logout === 'function') {
+        p.logout();
+      }
+    });
+  };
+
+  // the number of requests in flight and queued by the throttle, by class,
+  // and how long they've waited
+  nano.stats = function() {
+    return throttle.stats();
+  };
+
+  // release the library's sockets and timers, waiting for requests in flight
+  // to complete or, with {abort: true}, aborting them. Requests queued by the
+  // throttle and later requests fail with a CloudantError.
+  nano.close = function(opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    opts = opts || {};
+    return promisify(callback, function(cb) {
+      debug('Closing the client, %d requests in flight', inflight.length);
+      closed = true;
+      nano.logout();
+      // queued requests are never sent
+      throttle.close(closedError());
+      if (opts.abort) {
+        inflight.slice().forEach(function(r) {
+          r.abort();
+        });
+      }
+      var finish = function() {
+        if (agent) {
+          agent.destroy();
+        }
+        // e.g. the 'record' plugin writes its cassette
+        plugins.forEach(function(p) {
+          if (typeof p.close === 'function') {
+            p.close();
+          }
+        });
+        cb(null);
+      };
+      if (inflight.length === 0) {
+        return finish();
+      }
+      drained.push(finish);
+    });
+  };
+
+  // report every failure as a CloudantError
+  errors.wrapScope(nano);
 
   if (callback) {
     debug('Automatic ping');
@@ -253,13 +834,53 @@ function Cloudant(options, callback) {
   return nano;
 }
 
+// Initialize asynchronously, returning a Promise which resolves with
+// {client, pong} once the automatic ping has succeeded. This is the Promise
+// form of Cloudant(options, callback), as Cloudant(options) without a callback
+// returns the client synchronously for backward compatibility.
+Cloudant.connect = function(options) {
+  return new Promise(function(resolve, reject) {
+    Cloudant(options, function(err, client, pong) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({client: client, pong: pong});
+      }
+    });
+  });
+};
+
+// mask the credentials in a value e.g. before logging it
+Cloudant.redact = redact;
+
+// the CloudantError classes e.g. Cloudant.errors.NotFoundError
+Cloudant.errors = errors;
+
+// Cloudant Search query builder
+// e.g. Cloudant.search.query().match('author', 'Charles Dickens').counts(['year'])
+Cloudant.search = search;
+
+// Cloudant Query validation and local selector evaluation
+// e.g. Cloudant.query.match({type: 'order', total: {$gt: 100}}, doc)
+Cloudant.query = mango;
+
 function ping(login, callback) {
   var nano = this;
   var cookie = null;
 
+  if (typeof login === 'function') {
+    callback = login;
+    login = null;
+  }
+  if (typeof callback !== 'function') {
+    return promisify(null, function(cb) {
+      nano.ping(login, cb);
+    });
+  }
+
   async.series([
     function(done) {
-      if (login && login.username && login.password) {
+      if (login && login.username && login.password && !login.iamApiKey) {
         done.auth = false;
         nano.auth(login.username, login.password, function(e, b, h) {
           cookie = (h && h['set-cookie']) || null;
@@ -0,0 +1,122 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// atomicupdate applies a change to a document with optimistic concurrency:
+// it gets the latest revision, passes a copy to the mutator and saves the
+// result with the revision it was based on. If someone else has saved the
+// document in the meantime (409 Conflict) it starts again, after an
+// exponential backoff with full jitter:
+//
+// atomicupdate(db, 'zebra', function(doc) {
+//   doc.count = (doc.count || 0) + 1;
+//   return doc;
+// }, { maxRetries: 5, createIfMissing: true }, function(err, doc) { ... });
+//
+// The mutator may return the document or a Promise of it. If it returns
+// nothing the copy it was passed is used, and if an existing document is
+// unchanged it isn't saved.
+
+var debug = require('./redact.js').debug('cloudant');
+var errors = require('./errors.js');
+var json = require('./json.js');
+
+var DEFAULT_MAX_RETRIES = 5;
+var DEFAULT_RETRY_TIMEOUT = 100; // ms
+
+module.exports = function(db, id, mutator, opts, callback) {
+  opts = opts || {};
+  var maxRetries = typeof opts.maxRetries === 'number' ? opts.maxRetries : DEFAULT_MAX_RETRIES;
+  var retryTimeout = opts.retryTimeout || DEFAULT_RETRY_TIMEOUT;
+  var retries = 0;
+
+  if (typeof id !== 'string' || !id) {
+    return callback(new errors.CloudantError('atomicUpdate() must be given a document id'));
+  }
+  if (typeof mutator !== 'function') {
+    return callback(new errors.CloudantError('atomicUpdate() must be given a mutator function'));
+  }
+
+  // the document to start from when there isn't one
+  var initial = function() {
+    var doc = (typeof opts.createIfMissing === 'object') ? json.copy(opts.createIfMissing) : {};
+    doc._id = id;
+    return doc;
+  };
+
+  var save = function(original, updated) {
+    updated._id = id;
+    if (original._rev) {
+      updated._rev = original._rev;
+    } else {
+      delete updated._rev;
+    }
+    db.insert(updated, id, function(err, body) {
+      if (err && err.statusCode === 409 && retries < maxRetries) {
+        retries++;
+        var delay = Math.floor(Math.random() * retryTimeout * Math.pow(2, retries - 1));
+        debug('conflict updating %s - retrying in %dms', id, delay);
+        return setTimeout(attempt, delay);
+      }
+      if (err) {
+        return callback(err);
+      }
+      updated._rev = body.rev;
+      callback(null, updated);
+    });
+  };
+
+  var mutate = function(original) {
+    var doc = json.copy(original);
+    var next = function(err, updated) {
+      if (err) {
+        return callback(err);
+      }
+      if (updated === undefined) {
+        updated = doc;
+      }
+      if (!updated || typeof updated !== 'object' || Array.isArray(updated)) {
+        return callback(new errors.CloudantError('atomicUpdate() mutator must return a document'));
+      }
+      // a document which doesn't exist yet is always saved
+      if (original._rev && json.same(original, updated)) {
+        debug('document %s is unchanged - not saving it', id);
+        return callback(null, original);
+      }
+      save(original, updated);
+    };
+    // carry on outside of the Promise so the callback's exceptions aren't
+    // swallowed
+    Promise.resolve().then(function() {
+      return mutator(doc);
+    }).then(function(updated) {
+      setImmediate(next, null, updated);
+    }, function(err) {
+      setImmediate(next, err);
+    });
+  };
+
+  var attempt = function() {
+    db.get(id, function(err, doc) {
+      if (err && err.statusCode === 404 && opts.createIfMissing) {
+        return mutate(initial());
+      }
+      if (err) {
+        return callback(err);
+      }
+      mutate(doc);
+    });
+  };
+  attempt();
+};
@@ -0,0 +1,419 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// backup streams a database to a writable stream as newline-delimited JSON,
+// one array of documents per line, and restore reads it back:
+//
+// backup('animaldb', request, fs.createWriteStream('animaldb.txt'), { mode: 'full' }, callback);
+// backup.restore('animaldb', request, fs.createReadStream('animaldb.txt'), { concurrency: 5 }, callback);
+//
+// A 'shallow' backup pages through GET /_all_docs and has the winning
+// revision of each document. A 'full' backup follows the changes feed and
+// gets each batch of documents with POST /_bulk_get?revs=true, so they carry
+// their revision history, and restoring it with POST /_bulk_docs and
+// new_edits: false keeps their revisions.
+//
+// Both return an EventEmitter which emits a 'progress' event for each batch
+// and 'finished' at the end. With `log`, the batches done are appended to
+// that file and with `resume: true` a backup or restore carries on from
+// there; a resumed backup should be appended to the same output. A backup
+// logs its batches as `backedUp` and a restore as `restored`, so neither
+// resumes from the other's log.
+//
+// request(opts, callback) makes a request as nano.request does.
+
+var debug = require('./redact.js').debug('cloudant');
+var errors = require('./errors.js');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var StringDecoder = require('string_decoder').StringDecoder;
+
+var DEFAULT_BATCH_SIZE = 500;
+var DEFAULT_CONCURRENCY = 5;
+var MODES = ['shallow', 'full'];
+
+// the keys of the log entries written by a backup and by a restore
+var BACKUP_KEYS = ['backedUp', 'ids', 'complete'];
+var RESTORE_KEYS = ['restored'];
+
+// read the entries of a log file, if it's being resumed from, checking that
+// each has one of the keys written by the kind of job resuming it
+var readLog = function(opts, kind, keys, callback) {
+  if (!opts.log || !opts.resume) {
+    return callback(null, []);
+  }
+  fs.readFile(opts.log, 'utf8', function(err, data) {
+    if (err && err.code === 'ENOENT') {
+      return callback(null, []);
+    }
+    if (err) {
+      return callback(err);
+    }
+    var entries = [];
+    entries.partial = data.length > 0 && data.charAt(data.length - 1) !== '\n';
+    data.split('\n').forEach(function(line) {
+      // ignore a last line which was only partly written
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {}
+    });
+    var invalid = entries.some(function(entry) {
+      return !keys.some(function(key) {
+        return entry && entry[key] !== undefined;
+      });
+    });
+    if (invalid) {
+      return callback(new errors.CloudantError('Log ' + opts.log + ' is not a ' + kind + ' log', { log: opts.log }), []);
+    }
+    callback(null, entries);
+  });
+};
+
+// an EventEmitter for the job, and a function to finish it with
+var job = function(callback) {
+  var emitter = new EventEmitter();
+  var finished = false;
+  emitter.done = function(err, summary) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    if (err) {
+      debug(err);
+      if (emitter.listenerCount('error') > 0 || typeof callback !== 'function') {
+        emitter.emit('error', err);
+      }
+    } else {
+      emitter.emit('finished', summary);
+    }
+    if (typeof callback === 'function') {
+      callback(err || null, err ? undefined : summary);
+    }
+  };
+  return emitter;
+};
+
+// open the log file to append to, after the entries read from it
+var openLog = function(opts, entries) {
+  if (!opts.log) {
+    return {
+      write: function() {},
+      end: function(callback) {
+        callback();
+      }
+    };
+  }
+  var s = fs.createWriteStream(opts.log, { flags: opts.resume ? 'a' : 'w' });
+  // end a last line which was only partly written
+  if (entries && entries.partial) {
+    s.write('\n');
+  }
+  return {
+    write: function(entry) {
+      s.write(JSON.stringify(entry) + '\n');
+    },
+    end: function(callback) {
+      s.end(callback);
+    }
+  };
+};
+
+module.exports = function(db, request, out, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  var mode = opts.mode || 'full';
+  var batchSize = opts.batchSize || DEFAULT_BATCH_SIZE;
+  var emitter = job(callback);
+
+  if (MODES.indexOf(mode) === -1) {
+    setImmediate(function() {
+      emitter.done(new errors.CloudantError('Invalid backup mode "' + mode + '" - expected "shallow" or "full"'));
+    });
+    return emitter;
+  }
+
+  var log = null;
+  var batch = 0;
+  var total = 0;
+
+  // write a batch of documents to the output, then log it as done
+  var write = function(docs, entry, next) {
+    var written = function() {
+      log.write(entry);
+      total += docs.length;
+      emitter.emit('progress', { batch: entry.backedUp, docs: docs.length, total: total });
+      next();
+    };
+    if (docs.length === 0 || out.write(JSON.stringify(docs) + '\n')) {
+      return setImmediate(written);
+    }
+    out.once('drain', written);
+  };
+
+  var finish = function(err) {
+    log.end(function() {
+      emitter.done(err, { total: total });
+    });
+  };
+
+  // page through _all_docs, starting after the last document written
+  var shallow = function(entries) {
+    var after = null;
+    entries.forEach(function(entry) {
+      if (entry.backedUp !== undefined) {
+        batch = entry.backedUp + 1;
+        after = entry.last;
+      }
+    });
+    var page = function() {
+      var qs = { include_docs: true, limit: batchSize };
+      if (after !== null && after !== undefined) {
+        qs.startkey = after;
+        qs.skip = 1;
+      }
+      request({ path: encodeURIComponent(db) + '/_all_docs', qs: qs }, function(err, data) {
+        if (err) {
+          return finish(err);
+        }
+        var rows = (data && data.rows) || [];
+        if (rows.length === 0) {
+          return finish();
+        }
+        after = rows[rows.length - 1].id;
+        var docs = rows.map(function(row) {
+          return row.doc;
+        }).filter(function(doc) {
+          return doc;
+        });
+        write(docs, { backedUp: batch++, last: after }, rows.length < batchSize ? finish : page);
+      });
+    };
+    page();
+  };
+
+  // follow the changes feed, getting each batch of documents with their
+  // revision histories
+  var full = function(entries) {
+    var since = '0';
+    var complete = false;
+    var todo = {};
+    entries.forEach(function(entry) {
+      if (entry.ids) {
+        todo[entry.batch] = entry.ids;
+        since = entry.since;
+        batch = entry.batch + 1;
+      } else if (entry.backedUp !== undefined) {
+        delete todo[entry.backedUp];
+      } else if (entry.complete) {
+        complete = true;
+      }
+    });
+
+    var fetch = function(n, ids, next) {
+      request({ path: encodeURIComponent(db) + '/_bulk_get',
+        method: 'post',
+        qs: { revs: true },
+        body: { docs: ids.map(function(id) { return { id: id }; }) } }, function(err, data) {
+        if (err) {
+          return finish(err);
+        }
+        var docs = [];
+        var failure = null;
+        ((data && data.results) || []).forEach(function(result) {
+          // deleted documents come back not_found and aren't backed up
+          (result.docs || []).forEach(function(d) {
+            if (d.ok) {
+              docs.push(d.ok);
+            } else if (d.error && d.error.error !== 'not_found' && !failure) {
+              failure = errors.fromDocument({ method: 'POST', url: '/' + encodeURIComponent(db) + '/_bulk_get' }, d.error);
+            }
+          });
+        });
+        if (failure) {
+          return finish(failure);
+        }
+        write(docs, { backedUp: n }, next);
+      });
+    };
+
+    var changes = function() {
+      if (complete) {
+        return finish();
+      }
+      request({ path: encodeURIComponent(db) + '/_changes',
+        qs: { since: since, limit: batchSize, seq_interval: batchSize } }, function(err, data) {
+        if (err) {
+          return finish(err);
+        }
+        var results = (data && data.results) || [];
+        since = data.last_seq;
+        if (results.length === 0) {
+          log.write({ complete: true, since: since });
+          return finish();
+        }
+        var ids = [];
+        results.forEach(function(change) {
+          if (ids.indexOf(change.id) === -1) {
+            ids.push(change.id);
+          }
+        });
+        var n = batch++;
+        log.write({ batch: n, ids: ids, since: since });
+        fetch(n, ids, changes);
+      });
+    };
+
+    // first finish the batches which weren't written before
+    var pending = Object.keys(todo);
+    var resume = function() {
+      if (pending.length === 0) {
+        return changes();
+      }
+      var n = pending.shift();
+      debug('resuming backup batch %s', n);
+      fetch(Number(n), todo[n], resume);
+    };
+    resume();
+  };
+
+  readLog(opts, 'backup', BACKUP_KEYS, function(err, entries) {
+    log = openLog(opts, entries);
+    if (err) {
+      return finish(err);
+    }
+    debug('starting %s backup of %s', mode, db);
+    (mode === 'shallow' ? shallow : full)(entries);
+  });
+
+  return emitter;
+};
+
+module.exports.restore = function(db, request, input, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  var concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+  var emitter = job(callback);
+  var path = encodeURIComponent(db) + '/_bulk_docs';
+
+  var log = null;
+  var done = {}; // the lines already restored
+  var queue = [];
+  var lineNumber = 0;
+  var inFlight = 0;
+  var ended = false;
+  var failed = false;
+  var total = 0;
+
+  var finish = function(err) {
+    failed = true;
+    input.pause();
+    log.end(function() {
+      emitter.done(err, { total: total });
+    });
+  };
+
+  // restore as many batches as the concurrency allows
+  var pump = function() {
+    while (queue.length > 0) {
+      if (failed || inFlight >= concurrency) {
+        break;
+      }
+      restore(queue.shift());
+    }
+    if (!failed && !ended && queue.length < concurrency) {
+      input.resume();
+    }
+    if (!failed && ended && inFlight === 0 && queue.length === 0) {
+      finish();
+    }
+  };
+
+  var restore = function(item) {
+    var docs;
+    try {
+      docs = JSON.parse(item.line);
+    } catch (e) {
+      return finish(new errors.CloudantError('Invalid backup on line ' + item.n + ': ' + e.message));
+    }
+    inFlight++;
+    request({ path: path, method: 'post', body: { docs: docs, new_edits: false } }, function(err, results) {
+      inFlight--;
+      if (failed) {
+        return;
+      }
+      if (err) {
+        return finish(err);
+      }
+      var failure = (Array.isArray(results) ? results : []).filter(function(result) {
+        return result.error;
+      })[0];
+      if (failure) {
+        return finish(errors.fromDocument({ method: 'POST', url: '/' + path }, failure));
+      }
+      log.write({ restored: item.n });
+      total += docs.length;
+      emitter.emit('progress', { batch: item.n, docs: docs.length, total: total });
+      pump();
+    });
+  };
+
+  var line = function(text) {
+    lineNumber++;
+    if (text.trim() && !done[lineNumber]) {
+      queue.push({ n: lineNumber, line: text });
+    }
+  };
+
+  readLog(opts, 'restore', RESTORE_KEYS, function(err, entries) {
+    log = openLog(opts, entries);
+    if (err) {
+      return finish(err);
+    }
+    entries.forEach(function(entry) {
+      done[entry.restored] = true;
+    });
+    debug('starting restore of %s', db);
+
+    var decoder = new StringDecoder('utf8');
+    var buffer = '';
+    input.on('data', function(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      var lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line);
+      if (queue.length >= concurrency) {
+        input.pause();
+      }
+      pump();
+    }).on('end', function() {
+      buffer += decoder.end();
+      line(buffer);
+      ended = true;
+      pump();
+    }).on('error', function(err) {
+      if (!failed) {
+        finish(err);
+      }
+    });
+  });
+
+  return emitter;
+};
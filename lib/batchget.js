@@ -0,0 +1,109 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// batchget collects the documents asked for within a short window into a
+// single POST /_bulk_get, DataLoader style:
+//
+// var get = batchget('animaldb', fetch, { wait: 10, maxBatch: 100 });
+// get('zebra', {}, function(err, doc) { ... });
+// get('aardvark', { rev: '1-123' }, function(err, doc) { ... });
+//
+// fetch(docs, callback) is called with the [{id, rev}] of a batch and calls
+// back with the _bulk_get response. A batch is sent `wait` milliseconds after
+// its first get or as soon as it holds `maxBatch` documents. Repeated gets of
+// the same document share a single entry; every caller after the first gets
+// their own copy of the document.
+
+var debug = require('./redact.js').debug('cloudant');
+var errors = require('./errors.js');
+var json = require('./json.js');
+
+module.exports = function(db, fetch, opts) {
+  opts = opts || {};
+  var wait = typeof opts.wait === 'number' ? opts.wait : 10;
+  var maxBatch = opts.maxBatch || 100;
+
+  // the batch being collected
+  var batch = null;
+
+  // create the error for a document _bulk_get couldn't return
+  var docError = function(id, body) {
+    var req = { method: 'GET', url: '/' + encodeURIComponent(db) + '/' + encodeURIComponent(id) };
+    return errors.fromDocument(req, body);
+  };
+
+  // call back each of the callers waiting on a document
+  var reply = function(callbacks, err, doc) {
+    callbacks.forEach(function(callback, i) {
+      callback(err, (doc && i > 0) ? json.copy(doc) : doc);
+    });
+  };
+
+  var dispatch = function(b) {
+    if (batch === b) {
+      batch = null;
+    }
+    clearTimeout(b.timer);
+    debug('fetching a batch of %d documents from %s', b.docs.length, db);
+    fetch(b.docs, function(err, data) {
+      var results = (data && data.results) || [];
+      b.docs.forEach(function(doc, i) {
+        var callbacks = b.callbacks[i];
+        if (err) {
+          return reply(callbacks, err);
+        }
+        // the results are in the order the documents were asked for
+        var result = results[i];
+        var entry = result && result.id === doc.id && result.docs && result.docs[0];
+        if (!entry) {
+          return reply(callbacks, docError(doc.id, { error: 'not_found', reason: 'missing', id: doc.id }));
+        }
+        if (entry.error) {
+          return reply(callbacks, docError(doc.id, entry.error));
+        }
+        reply(callbacks, null, entry.ok);
+      });
+    });
+  };
+
+  return function(id, options, callback) {
+    options = options || {};
+    var doc = { id: id };
+    if (options.rev) {
+      doc.rev = options.rev;
+    }
+    var key = JSON.stringify([id, options.rev || null]);
+
+    if (!batch) {
+      batch = { docs: [], callbacks: [], keys: {} };
+      var b = batch;
+      b.timer = setTimeout(function() {
+        dispatch(b);
+      }, wait);
+    }
+
+    // share the entry of a document which is already in the batch
+    if (Object.prototype.hasOwnProperty.call(batch.keys, key)) {
+      batch.callbacks[batch.keys[key]].push(callback);
+      return;
+    }
+    batch.keys[key] = batch.docs.length;
+    batch.docs.push(doc);
+    batch.callbacks.push([callback]);
+    if (batch.docs.length >= maxBatch) {
+      dispatch(batch);
+    }
+  };
+};
@@ -0,0 +1,259 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// bulkwriter coalesces document writes into POST /_bulk_docs batches. It
+// returns a writable object stream whose write(doc) returns a Promise of the
+// document's {id, rev}, rejecting with the document's own error e.g. a
+// ConflictError:
+//
+// var writer = bulkwriter('animaldb', save, { batchSize: 500, flushInterval: 1000, concurrency: 2 });
+// writer.write({ _id: 'zebra' }).then(...);
+// readable.pipe(writer);
+// writer.flush().then(...);
+// writer.end().then(function(totals) { ... });
+//
+// save(docs, callback) is called for each batch and calls back with the
+// _bulk_docs response. A batch is sent when it holds `batchSize` documents or
+// `flushInterval` milliseconds after its first document, with up to
+// `concurrency` batches in flight. Once `batchSize * concurrency` documents
+// are waiting write() signals backpressure by pausing the streams piped into
+// the writer and by the stream's usual 'drain' event.
+
+var debug = require('./redact.js').debug('cloudant');
+var errors = require('./errors.js');
+var stream = require('stream');
+
+var DEFAULT_BATCH_SIZE = 500;
+var DEFAULT_FLUSH_INTERVAL = 1000;
+
+var nothing = function() {};
+
+module.exports = function(db, save, opts) {
+  opts = opts || {};
+  var batchSize = opts.batchSize || DEFAULT_BATCH_SIZE;
+  var flushInterval = typeof opts.flushInterval === 'number' ? opts.flushInterval : DEFAULT_FLUSH_INTERVAL;
+  var concurrency = opts.concurrency || 1;
+  var capacity = batchSize * concurrency;
+  var req = { method: 'POST', url: '/' + encodeURIComponent(db) + '/_bulk_docs' };
+
+  var batch = []; // the documents being collected
+  var ready = []; // the batches waiting to be sent
+  var inFlight = 0;
+  var timer = null;
+
+  var sequence = 0; // the number of documents written
+  var flushUntil = 0; // the documents up to which flush() was called
+  var accepted = 0; // the last document accepted from the stream
+  var outstanding = {}; // the documents which haven't been saved, by sequence
+  var pending = 0; // the documents accepted from the stream but not saved
+  var blocked = null; // the callback of the write waiting for capacity
+  var idle = []; // callbacks waiting for every accepted document to be saved
+
+  var ending = false;
+  var finished = false;
+  var totals = { written: 0, failed: 0 };
+
+  var s = new stream.Writable({ objectMode: true, highWaterMark: capacity });
+
+  var settle = function(entry, err, result) {
+    delete outstanding[entry.seq];
+    if (!err && !result) {
+      err = new errors.CloudantError('_bulk_docs returned no result for the document');
+    } else if (!err && result.error) {
+      err = errors.fromDocument(req, result);
+    }
+    if (err) {
+      totals.failed++;
+      s.emit('docError', err, entry.doc);
+      entry.reject(err);
+    } else {
+      totals.written++;
+      entry.resolve({ id: result.id, rev: result.rev });
+    }
+    entry.settled();
+  };
+
+  // send as many of the ready batches as the concurrency allows
+  var send = function() {
+    while (inFlight < concurrency && ready.length > 0) {
+      var b = ready.shift();
+      inFlight++;
+      debug('saving a batch of %d documents to %s', b.length, db);
+      save(b.map(function(entry) {
+        return entry.doc;
+      }), complete(b));
+    }
+  };
+
+  var complete = function(b) {
+    return function(err, results) {
+      inFlight--;
+      b.forEach(function(entry, i) {
+        settle(entry, err, Array.isArray(results) ? results[i] : null);
+      });
+      pending -= b.length;
+      if (blocked && pending < capacity) {
+        var callback = blocked;
+        blocked = null;
+        callback();
+      }
+      send();
+      if (pending === 0) {
+        var callbacks = idle;
+        idle = [];
+        callbacks.forEach(function(callback) {
+          callback();
+        });
+      }
+    };
+  };
+
+  // queue the batch being collected to be sent
+  var dispatch = function() {
+    clearTimeout(timer);
+    timer = null;
+    if (batch.length > 0) {
+      ready.push(batch);
+      batch = [];
+      send();
+    }
+  };
+
+  s._write = function(entry, encoding, callback) {
+    batch.push(entry);
+    pending++;
+    accepted = entry.seq;
+    // once the stream is ending the last document sends the last batch
+    if (batch.length >= batchSize || entry.seq <= flushUntil || (ending && entry.seq === sequence)) {
+      dispatch();
+    } else if (!timer) {
+      timer = setTimeout(dispatch, flushInterval);
+    }
+    if (pending < capacity) {
+      callback();
+    } else {
+      blocked = callback;
+    }
+  };
+
+  // the streams piped into the writer are paused while it's full
+  var sources = [];
+  var paused = false;
+  s.on('pipe', function(src) {
+    sources.push(src);
+  }).on('unpipe', function(src) {
+    sources = sources.filter(function(source) {
+      return source !== src;
+    });
+  }).on('finish', function() {
+    finished = true;
+  });
+  var pause = function() {
+    if (paused) {
+      return;
+    }
+    paused = true;
+    sources.forEach(function(src) {
+      src.pause();
+    });
+    s.once('drain', function() {
+      paused = false;
+      sources.forEach(function(src) {
+        src.resume();
+      });
+    });
+  };
+
+  var write = s.write;
+  s.write = function(doc, encoding, callback) {
+    var entry = { doc: doc };
+    var p = new Promise(function(resolve, reject) {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // the Promise is optional when the writer is used as a stream
+    p.catch(nothing);
+    if (ending) {
+      entry.reject(new errors.CloudantError('write after end'));
+      return p;
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      entry.reject(new errors.CloudantError('bulkWriter can only write document objects'));
+      return p;
+    }
+    entry.seq = ++sequence;
+    entry.done = new Promise(function(resolve) {
+      entry.settled = resolve;
+    });
+    outstanding[entry.seq] = entry;
+    if (!write.call(s, entry, encoding, callback)) {
+      pause();
+    }
+    return p;
+  };
+
+  // send the documents written so far, resolving once they've been saved
+  s.flush = function() {
+    flushUntil = sequence;
+    dispatch();
+    return Promise.all(Object.keys(outstanding).map(function(seq) {
+      return outstanding[seq].done;
+    })).then(function() {});
+  };
+
+  // end the stream, optionally writing a last document, resolving with the
+  // numbers of documents written and failed once they've all been saved.
+  // The stream only ends once the last batches have been saved, so 'finish'
+  // means every document is settled (Writable#_final needs Node 8).
+  var end = s.end;
+  s.end = function(doc, encoding, callback) {
+    if (typeof doc === 'function') {
+      callback = doc;
+      doc = null;
+    } else if (typeof encoding === 'function') {
+      callback = encoding;
+    }
+    if (doc !== undefined && doc !== null) {
+      s.write(doc);
+    }
+    var p = new Promise(function(resolve, reject) {
+      if (finished) {
+        return resolve(Object.assign({}, totals));
+      }
+      s.once('finish', function() {
+        resolve(Object.assign({}, totals));
+      }).once('error', reject);
+    });
+    p.catch(nothing);
+    if (!ending) {
+      ending = true;
+      // send the last batch, unless the stream is still buffering documents,
+      // and wait for them all to be saved
+      if (accepted === sequence) {
+        dispatch();
+      }
+      if (pending === 0) {
+        end.call(s, callback);
+      } else {
+        idle.push(function() {
+          end.call(s, callback);
+        });
+      }
+    }
+    return p;
+  };
+
+  return s;
+};
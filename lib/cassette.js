@@ -0,0 +1,135 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// cassette reads and writes the files of request/response pairs which the
+// 'record' plugin writes and the 'replay' plugin serves back:
+//
+// {
+//   "version": 1,
+//   "interactions": [{
+//     "request": { "method": "GET", "path": "/animaldb/zebra", "query": {}, "body": null },
+//     "response": { "statusCode": 200, "headers": { "content-type": "application/json" }, "body": { ... } }
+//   }]
+// }
+//
+// Requests and responses are normalized so the files are stable and easy to
+// review: credentials are redacted, URLs are reduced to their path and query,
+// JSON bodies are parsed and object keys are sorted. Requests are matched on
+// their method, path, query and body.
+
+var fs = require('fs');
+var querystring = require('querystring');
+var redact = require('./redact.js');
+var u = require('url');
+
+var VERSION = 1;
+
+// the response headers worth keeping, the rest vary between runs
+var HEADERS = ['content-type', 'etag', 'location', 'retry-after', 'set-cookie'];
+
+// sort the keys of objects, recursively
+var sorted = function(value) {
+  if (Array.isArray(value)) {
+    return value.map(sorted);
+  }
+  if (value && typeof value === 'object') {
+    var s = {};
+    Object.keys(value).sort().forEach(function(key) {
+      s[key] = sorted(value[key]);
+    });
+    return s;
+  }
+  return value;
+};
+
+// a body as JSON where it is JSON, otherwise as a string
+var body = function(b) {
+  if (b === undefined || b === null || b === '') {
+    return null;
+  }
+  if (Buffer.isBuffer(b)) {
+    b = b.toString('utf8');
+  }
+  if (typeof b === 'string') {
+    try {
+      b = JSON.parse(b);
+    } catch (e) {}
+  }
+  return sorted(redact(b));
+};
+
+// the normalized form of a request made with the request library
+var request = function(req) {
+  var parsed = u.parse(req.uri || req.url, true);
+  var query = Object.assign({}, parsed.query);
+  Object.keys(req.qs || {}).forEach(function(key) {
+    var value = req.qs[key];
+    query[key] = Array.isArray(value) ? value.map(String) : String(value);
+  });
+  var b = req.form;
+  if (!b && typeof req.body === 'string' && /x-www-form-urlencoded/.test((req.headers || {})['content-type'])) {
+    b = querystring.parse(req.body);
+  }
+  return {
+    method: (req.method || 'GET').toUpperCase(),
+    path: parsed.pathname,
+    query: sorted(redact(query)),
+    body: body(b || req.body)
+  };
+};
+
+// the normalized form of a response, or of the error instead of one
+var response = function(err, h, b) {
+  if (err) {
+    return { error: { code: err.code || null, message: redact(String(err.message)) } };
+  }
+  var headers = {};
+  HEADERS.forEach(function(name) {
+    if (h.headers && h.headers[name] !== undefined) {
+      headers[name] = redact(h.headers[name]);
+    }
+  });
+  return {
+    statusCode: h.statusCode,
+    headers: headers,
+    body: body(b)
+  };
+};
+
+// the key to match a request on
+var key = function(normalized) {
+  return JSON.stringify(sorted(normalized));
+};
+
+var read = function(file) {
+  var cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (cassette.version !== VERSION || !Array.isArray(cassette.interactions)) {
+    throw new Error('Invalid cassette ' + file);
+  }
+  return cassette.interactions;
+};
+
+var write = function(file, interactions) {
+  var cassette = { version: VERSION, interactions: interactions };
+  fs.writeFileSync(file, JSON.stringify(cassette, null, 2) + '\n');
+};
+
+module.exports = {
+  request: request,
+  response: response,
+  key: key,
+  read: read,
+  write: write
+};
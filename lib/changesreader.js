@@ -0,0 +1,314 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// changesreader follows a database's changes feed, returning the changes as
+// a readable object stream which is also an async iterator on Node.js 10 and
+// later. It polls GET /_changes?feed=longpoll for a batch at a time, only
+// fetching the next batch once the last one has been consumed, and carries
+// on after network errors and 429 and 5xx responses with an exponential
+// backoff, emitting 'retry' events. With `feed: 'normal'` the stream ends
+// once it has caught up instead.
+//
+// With `checkpoint: 'name'` the last sequence of the batches consumed is
+// saved every `checkpointInterval` milliseconds (and when the reader is
+// stopped) to the _local/name document, emitting 'checkpoint' events. A
+// reader with the same checkpoint name resumes from there, ignoring `since`.
+// A batch counts as consumed once the stream has handed over its last change
+// and is asked for more, which says nothing about whether the consumer has
+// finished processing the changes: those still being processed at a crash
+// may be lost, while the rest of the changes since the checkpoint are read
+// again.
+//
+// changesreader.dbUpdates follows the account's GET /_db_updates feed in the
+// same way, saving its checkpoint in the `checkpointDb` database and emitting
+// a 'created', 'updated' or 'deleted' event for each update as it's read.
+//
+// request(opts, callback) makes a request as nano.request does.
+
+var debug = require('./redact.js').debug('cloudant');
+var errors = require('./errors.js');
+var promisify = require('./promisify.js');
+var stream = require('stream');
+
+var DEFAULT_BATCH_SIZE = 100;
+var DEFAULT_TIMEOUT = 60000; // ms
+var DEFAULT_CHECKPOINT_INTERVAL = 5000; // ms
+var DEFAULT_RETRY_TIMEOUT = 500; // ms
+var DEFAULT_MAX_RETRY_TIMEOUT = 30000; // ms
+
+var FEEDS = ['longpoll', 'normal'];
+
+// the types of update in the _db_updates feed
+var DB_UPDATE_TYPES = ['created', 'updated', 'deleted'];
+
+// whether the changes feed should be polled again after an error
+var retryable = function(err) {
+  return !err.statusCode || err.statusCode === 429 || err.statusCode >= 500;
+};
+
+// follow a feed, where feed.path is its path, feed.checkpointDb the database
+// for the checkpoint document and feed.request(since) creates each request
+var follow = function(request, feed, opts) {
+  var timeout = opts.timeout || DEFAULT_TIMEOUT;
+  var checkpointInterval = opts.checkpointInterval || DEFAULT_CHECKPOINT_INTERVAL;
+  var retryTimeout = opts.retryTimeout || DEFAULT_RETRY_TIMEOUT;
+  var maxRetryTimeout = opts.maxRetryTimeout || DEFAULT_MAX_RETRY_TIMEOUT;
+  var mode = opts.feed || 'longpoll';
+  var checkpointPath = opts.checkpoint ? encodeURIComponent(feed.checkpointDb) + '/_local/' + encodeURIComponent(opts.checkpoint) : null;
+
+  if (FEEDS.indexOf(mode) === -1) {
+    throw new errors.CloudantError('Invalid feed "' + mode + '" - expected "longpoll" or "normal"');
+  }
+
+  var since = opts.since === undefined ? '0' : opts.since;
+  var started = false;
+  var fetching = false;
+  var stopped = false;
+  var retries = 0;
+  var current = null; // the request in flight
+  var retryTimer = null;
+  var checkpointTimer = null;
+
+  var pushedSeq = null; // the last sequence of the batch last pushed
+  var processedSeq = null; // the last sequence of the batches handed over
+  var savedSeq = null; // the sequence saved in the checkpoint
+  var checkpointRev = null;
+
+  var s = new stream.Readable({ objectMode: true, highWaterMark: 1 });
+
+  // save the sequence of the batches consumed to the checkpoint document
+  var save = function(callback) {
+    if (!checkpointPath || processedSeq === null || processedSeq === savedSeq) {
+      return callback();
+    }
+    var seq = processedSeq;
+    var body = { seq: seq };
+    if (checkpointRev) {
+      body._rev = checkpointRev;
+    }
+    request({ path: checkpointPath, method: 'put', body: body }, function(err, data) {
+      if (err) {
+        // try again with the latest revision next time
+        debug('failed to save checkpoint %s: %s', opts.checkpoint, err.message);
+        if (err.statusCode === 409) {
+          return request({ path: checkpointPath }, function(e, doc) {
+            checkpointRev = (doc && doc._rev) || checkpointRev;
+            callback();
+          });
+        }
+        return callback();
+      }
+      checkpointRev = data.rev;
+      savedSeq = seq;
+      s.emit('checkpoint', seq);
+      callback();
+    });
+  };
+
+  // load the checkpoint, if there is one
+  var load = function(callback) {
+    if (!checkpointPath) {
+      return callback();
+    }
+    request({ path: checkpointPath }, function(err, doc) {
+      if (err && err.statusCode !== 404) {
+        return callback(err);
+      }
+      if (doc) {
+        debug('resuming from checkpoint %s', opts.checkpoint);
+        checkpointRev = doc._rev;
+        since = doc.seq;
+        savedSeq = doc.seq;
+      }
+      checkpointTimer = setInterval(function() {
+        save(function() {});
+      }, checkpointInterval);
+      // don't keep the event loop active just to save checkpoints
+      checkpointTimer.unref();
+      callback();
+    });
+  };
+
+  var finish = function() {
+    stopped = true;
+    clearTimeout(retryTimer);
+    clearInterval(checkpointTimer);
+    if (current && typeof current.abort === 'function') {
+      current.abort();
+    }
+    current = null;
+  };
+
+  var fail = function(err) {
+    finish();
+    return s.destroy ? s.destroy(err) : s.emit('error', err);
+  };
+
+  var fetch = function() {
+    if (fetching || stopped) {
+      return;
+    }
+    fetching = true;
+    var req = feed.request(since);
+    req.qs.feed = mode;
+    if (mode === 'longpoll') {
+      req.qs.timeout = timeout;
+    }
+    debug('polling %s since %s', feed.path, since);
+    current = request(req, function(err, data) {
+      current = null;
+      fetching = false;
+      if (stopped) {
+        return;
+      }
+      if (err) {
+        if (!retryable(err)) {
+          return fail(err);
+        }
+        var delay = Math.floor(Math.random() * Math.min(maxRetryTimeout, retryTimeout * Math.pow(2, retries)));
+        retries++;
+        debug('changes feed failed - retrying in %dms', delay);
+        s.emit('retry', err, delay);
+        retryTimer = setTimeout(fetch, delay);
+        return;
+      }
+      retries = 0;
+      var results = (data && data.results) || [];
+      since = data.last_seq;
+      if (results.length === 0) {
+        // there's nothing to consume, so we're up to date
+        processedSeq = since;
+        if (mode === 'normal') {
+          return s.stop(function() {});
+        }
+        return fetch();
+      }
+      pushedSeq = since;
+      results.forEach(function(change) {
+        s.push(change);
+        if (feed.onChange) {
+          feed.onChange(s, change);
+        }
+      });
+    });
+  };
+
+  s._read = function() {
+    if (stopped) {
+      return;
+    }
+    if (!started) {
+      started = true;
+      return load(function(err) {
+        if (err) {
+          return fail(err);
+        }
+        fetch();
+      });
+    }
+    // the last batch has been handed over, though not necessarily processed
+    if (pushedSeq !== null) {
+      processedSeq = pushedSeq;
+    }
+    fetch();
+  };
+
+  s._destroy = function(err, callback) {
+    if (!stopped) {
+      finish();
+      save(function() {});
+    }
+    callback(err);
+  };
+
+  // stop following the changes feed, saving the checkpoint. The changes
+  // already read are still emitted before the stream ends.
+  s.stop = function(callback) {
+    return promisify(callback, function(cb) {
+      if (stopped) {
+        return cb(null);
+      }
+      finish();
+      save(function() {
+        s.push(null);
+        cb(null);
+      });
+    });
+  };
+
+  return s;
+};
+
+module.exports = function(db, request, opts) {
+  opts = opts || {};
+  var batchSize = opts.batchSize || DEFAULT_BATCH_SIZE;
+  // only every seqInterval'th change has its seq, which is quicker for the
+  // server. null gives every change its seq.
+  var seqInterval = opts.seqInterval === undefined ? batchSize : opts.seqInterval;
+  return follow(request, {
+    path: encodeURIComponent(db) + '/_changes',
+    checkpointDb: db,
+    request: function(since) {
+      var req = {
+        path: encodeURIComponent(db) + '/_changes',
+        qs: { since: since, limit: batchSize }
+      };
+      if (seqInterval) {
+        req.qs.seq_interval = seqInterval;
+      }
+      if (opts.includeDocs) {
+        req.qs.include_docs = true;
+      }
+      if (opts.selector) {
+        req.method = 'post';
+        req.qs.filter = '_selector';
+        req.body = { selector: opts.selector };
+      } else if (opts.filter) {
+        req.qs.filter = opts.filter;
+      }
+      return req;
+    }
+  }, opts);
+};
+
+module.exports.dbUpdates = function(request, opts) {
+  opts = opts || {};
+  if (opts.checkpoint && !opts.checkpointDb) {
+    throw new errors.CloudantError('dbUpdates() must be given a checkpointDb to save its checkpoint in');
+  }
+  var s = follow(request, {
+    path: '_db_updates',
+    checkpointDb: opts.checkpointDb,
+    request: function(since) {
+      return { path: '_db_updates', qs: { since: since } };
+    },
+    onChange: function(s, update) {
+      if (DB_UPDATE_TYPES.indexOf(update.type) > -1) {
+        s.emit(update.type, update);
+      }
+    }
+  }, opts);
+
+  // listening for the updates of a type starts the feed, as listening for
+  // 'data' does
+  s.on('newListener', function(event) {
+    if (DB_UPDATE_TYPES.indexOf(event) > -1) {
+      process.nextTick(function() {
+        s.resume();
+      });
+    }
+  });
+  return s;
+};
@@ -0,0 +1,246 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// errors defines the CloudantError hierarchy used for every failure the
+// library reports. HTTP failures get the subclass for their status code e.g.
+//
+// db.get('nope', function(err) {
+//   err instanceof Cloudant.errors.NotFoundError; // true
+//   err.statusCode; // 404
+//   err.error;      // 'not_found'
+//   err.reason;     // 'missing'
+//   err.method;     // 'GET'
+//   err.path;       // '/animaldb/nope'
+//   err.requestId;  // '6fa1f6e1a3' (X-Couch-Request-ID)
+// });
+//
+// Network failures are plain CloudantErrors which keep the original error's
+// `code` (e.g. 'ECONNRESET') and refer to it as `cause`.
+
+var redact = require('./redact.js');
+var u = require('url');
+var util = require('util');
+
+function CloudantError(message, props) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.message = message;
+  Object.assign(this, props);
+}
+util.inherits(CloudantError, Error);
+CloudantError.prototype.name = 'CloudantError';
+
+// create a CloudantError subclass for a status code
+var subclass = function(name) {
+  var E = function(message, props) {
+    CloudantError.call(this, message, props);
+  };
+  util.inherits(E, CloudantError);
+  Object.defineProperty(E, 'name', { value: name });
+  E.prototype.name = name;
+  return E;
+};
+
+var BadRequestError = subclass('BadRequestError');
+var UnauthorizedError = subclass('UnauthorizedError');
+var ForbiddenError = subclass('ForbiddenError');
+var NotFoundError = subclass('NotFoundError');
+var ConflictError = subclass('ConflictError');
+var TooManyRequestsError = subclass('TooManyRequestsError');
+var ServerError = subclass('ServerError');
+
+var STATUS_CODES = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: TooManyRequestsError
+};
+
+var classFor = function(statusCode) {
+  if (STATUS_CODES[statusCode]) {
+    return STATUS_CODES[statusCode];
+  }
+  return statusCode >= 500 ? ServerError : CloudantError;
+};
+
+// the path and query string of a request, with any credentials masked
+var pathOf = function(req) {
+  var url = req && (req.uri || req.url);
+  if (!url) {
+    return undefined;
+  }
+  var parsed = u.parse(typeof url === 'string' ? url : u.format(url));
+  return redact(parsed.path);
+};
+
+var requestIdOf = function(headers) {
+  headers = headers || {};
+  return headers['x-couch-request-id'] || headers['x-request-id'] || undefined;
+};
+
+// create the error for a failed HTTP response
+// e.g. fromResponse({method: 'GET', url: ...}, response, {error: 'not_found', reason: 'missing'})
+var fromResponse = function(req, response, body, message) {
+  var statusCode = (response && response.statusCode) || 500;
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch (e) { body = { reason: body }; }
+  }
+  body = (body && typeof body === 'object' && !Buffer.isBuffer(body)) ? body : {};
+  var E = classFor(statusCode);
+  // keep the body's properties, as they were all that was returned before
+  var props = Object.assign({}, body, {
+    statusCode: statusCode,
+    error: body.error,
+    reason: body.reason,
+    method: ((req && req.method) || 'GET').toUpperCase(),
+    path: pathOf(req),
+    requestId: requestIdOf(response && response.headers)
+  });
+  delete props.message;
+  delete props.stack;
+  return new E(message || body.reason || body.error || ('Request failed with status ' + statusCode), props);
+};
+
+// the status codes of the errors reported for each document of a
+// POST /_bulk_get or POST /_bulk_docs
+var DOCUMENT_STATUS_CODES = {
+  bad_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409
+};
+
+// create the error for a document in a bulk request's response
+// e.g. fromDocument({method: 'PUT', url: ...}, {id: 'x', error: 'conflict', reason: 'Document update conflict.'})
+var fromDocument = function(req, body) {
+  var statusCode = DOCUMENT_STATUS_CODES[body && body.error] || 500;
+  return fromResponse(req, { statusCode: statusCode }, body);
+};
+
+// convert any error to a CloudantError, typed by its status code if it has
+// one e.g. the errors created by nano
+var wrap = function(err) {
+  if (!err || err instanceof CloudantError) {
+    return err;
+  }
+  if (typeof err === 'string') {
+    return new CloudantError(err);
+  }
+  if (typeof err !== 'object') {
+    return err;
+  }
+
+  // the new error has its own name, message and stack
+  var props = {};
+  Object.keys(err).forEach(function(key) {
+    if (key !== 'name' && key !== 'message' && key !== 'stack') {
+      props[key] = err[key];
+    }
+  });
+  // don't carry credentials around in request and response details
+  if (props.request) {
+    props.request = redact(props.request);
+  }
+  if (props.headers) {
+    props.headers = redact(props.headers);
+  }
+  props.method = props.method || (err.request && err.request.method && err.request.method.toUpperCase());
+  props.path = props.path || pathOf(err.request);
+  props.requestId = props.requestId || requestIdOf(err.headers);
+
+  // nano wraps connection errors with a generic message and keeps the
+  // original one as the description
+  var message = (err.scope === 'socket' && err.description) || err.message;
+
+  var E = CloudantError;
+  if (err.statusCode) {
+    E = classFor(err.statusCode);
+  } else {
+    props.cause = err;
+  }
+  var wrapped = new E(message, props);
+  if (err.stack) {
+    // keep where the original error was raised, under the new error's name
+    var frames = String(err.stack).split('\n').filter(function(line) {
+      return /^\s+at /.test(line);
+    });
+    wrapped.stack = redact([wrapped.name + ': ' + message].concat(frames).join('\n'));
+  }
+  return wrapped;
+};
+
+// wrap the callback of a function so it's called with a CloudantError
+var wrapFunction = function(fn) {
+  if (fn._cloudantErrors) {
+    return fn;
+  }
+  var wrapped = function() {
+    var args = Array.prototype.slice.call(arguments);
+    var last = args.length - 1;
+    if (last >= 0 && typeof args[last] === 'function') {
+      var callback = args[last];
+      args[last] = function(err) {
+        var cbArgs = Array.prototype.slice.call(arguments);
+        cbArgs[0] = wrap(err);
+        return callback.apply(this, cbArgs);
+      };
+    }
+    return fn.apply(this, args);
+  };
+  // keep any properties e.g. db.index.del
+  Object.keys(fn).forEach(function(key) {
+    wrapped[key] = fn[key];
+  });
+  wrapped._cloudantErrors = true;
+  return wrapped;
+};
+
+// wrap the callbacks of a nano server or database scope's functions,
+// including those of namespaces like nano.db and db.attachment
+var wrapScope = function(scope) {
+  Object.keys(scope).forEach(function(key) {
+    var value = scope[key];
+    if (typeof value === 'function') {
+      scope[key] = wrapFunction(value);
+    } else if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype && key !== 'config') {
+      Object.keys(value).forEach(function(k) {
+        if (typeof value[k] === 'function') {
+          value[k] = wrapFunction(value[k]);
+        }
+      });
+    }
+  });
+  return scope;
+};
+
+module.exports = {
+  CloudantError: CloudantError,
+  BadRequestError: BadRequestError,
+  UnauthorizedError: UnauthorizedError,
+  ForbiddenError: ForbiddenError,
+  NotFoundError: NotFoundError,
+  ConflictError: ConflictError,
+  TooManyRequestsError: TooManyRequestsError,
+  ServerError: ServerError,
+  fromResponse: fromResponse,
+  fromDocument: fromDocument,
+  wrap: wrap,
+  wrapScope: wrapScope
+};
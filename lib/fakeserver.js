@@ -0,0 +1,891 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// fakeserver is an in-memory stand-in for a Cloudant account, served over
+// HTTP on the loopback interface so the client can be tested without a
+// network:
+//
+// fakeserver.start({ username: 'me', password: 'secret' }, function(err, fake) {
+//   var cloudant = Cloudant({ url: fake.url });
+//   ...
+//   fake.close(callback);
+// });
+//
+// It implements the core endpoints the client calls: creating, getting and
+// deleting databases, documents with MVCC revisions and conflicts,
+// _all_docs, _bulk_docs, _bulk_get, Cloudant Query (_find, _explain and
+// _index) with a Mango selector engine, _security, _session and the CORS
+// configuration. Anything else gets a 501 Not Implemented response.
+//
+// With a username and password every request but the welcome and session
+// ones must authenticate, with basic auth or a session cookie. Without them
+// every request is allowed.
+//
+// fake.inject429(count, match) makes the next `count` requests (or the next
+// `count` whose path matches the RegExp `match`, or which the function
+// `match` accepts) fail with 429 Too Many Requests. fake.requests lists the
+// requests made and fake.reset() forgets every database and request.
+
+var crypto = require('crypto');
+var debug = require('./redact.js').debug('cloudant');
+var http = require('http');
+var json = require('./json.js');
+var mango = require('./query.js');
+var promisify = require('./promisify.js');
+var querystring = require('querystring');
+var selector = require('./selector.js');
+var u = require('url');
+
+var DEFAULT_LIMIT = 25;
+
+// databases which may have names starting with an underscore
+var SYSTEM_DBS = ['_replicator', '_users', '_global_changes'];
+
+var DB_NAME = /^[a-z][a-z0-9_$()+/-]*$/;
+
+// the special index which every database has
+var ALL_DOCS_INDEX = {
+  ddoc: null,
+  name: '_all_docs',
+  type: 'special',
+  def: { fields: [{ _id: 'asc' }] }
+};
+
+var FULL_SCAN_WARNING = 'No matching index found, create an index to optimize query time.';
+
+// an error response
+var HttpError = function(statusCode, error, reason) {
+  this.statusCode = statusCode;
+  this.body = { error: error, reason: reason };
+};
+
+var missingDatabase = function() {
+  return new HttpError(404, 'not_found', 'Database does not exist.');
+};
+
+var notImplemented = function(method, path) {
+  return new HttpError(501, 'not_implemented', 'The fake server does not implement ' + method + ' ' + path);
+};
+
+var hash = function(value) {
+  return crypto.createHash('md5').update(JSON.stringify(value)).digest('hex');
+};
+
+var generation = function(rev) {
+  return parseInt(rev, 10) || 0;
+};
+
+// the revision which wins between two revisions of a document
+var later = function(a, b) {
+  var d = generation(a) - generation(b);
+  return d > 0 || (d === 0 && a > b) ? a : b;
+};
+
+// a query parameter, which nano JSON-encodes where it's a key
+var param = function(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+var truthy = function(value) {
+  return value === true || value === 'true';
+};
+
+// the account's databases and settings
+var Account = function() {
+  this.dbs = {};
+  this.cors = { enable_cors: false, allow_credentials: false, origins: [] };
+  this.sessions = {};
+};
+
+// a database, with documents by id
+var Database = function(name) {
+  this.name = name;
+  this.docs = {};
+  this.local = {};
+  this.seq = 0;
+  this.security = {};
+  this.indexes = [];
+};
+
+Database.prototype.info = function() {
+  var self = this;
+  var ids = Object.keys(this.docs);
+  var deleted = ids.filter(function(id) {
+    return self.docs[id].deleted;
+  }).length;
+  return {
+    db_name: this.name,
+    doc_count: ids.length - deleted,
+    doc_del_count: deleted,
+    update_seq: String(this.seq),
+    sizes: { active: 0, external: 0, file: 0 }
+  };
+};
+
+// the ids of the documents which haven't been deleted, in order
+Database.prototype.ids = function() {
+  var self = this;
+  return Object.keys(this.docs).filter(function(id) {
+    return !self.docs[id].deleted;
+  }).sort();
+};
+
+Database.prototype.record = function(id) {
+  return id.indexOf('_local/') === 0 ? this.local[id] : this.docs[id];
+};
+
+// the body of a document, as GET /{db}/{docid} returns it
+Database.prototype.body = function(record, revs) {
+  var doc = Object.assign({ _id: record.id, _rev: record.rev }, json.copy(record.body));
+  if (record.deleted) {
+    doc._deleted = true;
+  }
+  if (revs) {
+    doc._revisions = { start: generation(record.rev), ids: record.history.slice() };
+  }
+  return doc;
+};
+
+// save a document, returning its {id, rev}. With newEdits false the
+// document's revisions are stored as they are, as replication does.
+Database.prototype.save = function(doc, newEdits) {
+  if (!json.isObject(doc)) {
+    throw new HttpError(400, 'bad_request', 'Document must be a JSON object');
+  }
+  var id = doc._id === undefined ? crypto.randomBytes(16).toString('hex') : doc._id;
+  if (typeof id !== 'string' || !id) {
+    throw new HttpError(400, 'illegal_docid', 'Document id must be a string');
+  }
+  if (id.charAt(0) === '_' && !/^_(design|local)\/./.test(id)) {
+    throw new HttpError(400, 'illegal_docid', 'Only reserved document ids may start with underscore.');
+  }
+  var local = id.indexOf('_local/') === 0;
+  var store = local ? this.local : this.docs;
+  var existing = store[id];
+  var body = {};
+  Object.keys(doc).forEach(function(key) {
+    if (['_id', '_rev', '_revisions', '_deleted'].indexOf(key) === -1) {
+      body[key] = json.copy(doc[key]);
+    }
+  });
+  var deleted = doc._deleted === true;
+
+  if (newEdits === false) {
+    if (typeof doc._rev !== 'string') {
+      throw new HttpError(400, 'bad_request', 'Document must have a _rev when new_edits is false');
+    }
+    // the revision loses to the one stored, as a conflict would
+    if (existing && later(existing.rev, doc._rev) === existing.rev) {
+      return { id: id, rev: doc._rev };
+    }
+    var revisions = doc._revisions || { ids: [doc._rev.replace(/^\d+-/, '')] };
+    store[id] = { id: id, rev: doc._rev, history: revisions.ids.slice(), body: body, deleted: deleted };
+  } else {
+    var current = existing ? existing.rev : null;
+    if (existing && !existing.deleted ? doc._rev !== current : (doc._rev && doc._rev !== current)) {
+      throw new HttpError(409, 'conflict', 'Document update conflict.');
+    }
+    if (local) {
+      var rev = '0-' + (generation(current) + 1);
+      if (deleted) {
+        delete store[id];
+      } else {
+        store[id] = { id: id, rev: rev, history: [], body: body, deleted: false };
+      }
+      return { id: id, rev: rev };
+    }
+    var h = hash([current, deleted, body]);
+    store[id] = {
+      id: id,
+      rev: (generation(current) + 1) + '-' + h,
+      history: [h].concat(existing ? existing.history : []),
+      body: body,
+      deleted: deleted
+    };
+  }
+  if (!local) {
+    store[id].seq = ++this.seq;
+  }
+  return { id: id, rev: store[id].rev };
+};
+
+// the Cloudant Query index which would serve a query
+Database.prototype.chooseIndex = function(query) {
+  var fields = Object.keys(query.selector || {});
+  var candidates = this.indexes.filter(function(index) {
+    if (query.use_index) {
+      var wanted = [].concat(query.use_index);
+      var ddoc = wanted[0].indexOf('_design/') === 0 ? wanted[0] : '_design/' + wanted[0];
+      return index.ddoc === ddoc && (!wanted[1] || index.name === wanted[1]);
+    }
+    // every indexed field must be in the selector
+    return index.type === 'json' && index.def.fields.every(function(f) {
+      return fields.indexOf(Object.keys(f)[0]) > -1;
+    });
+  });
+  candidates.sort(function(a, b) {
+    return b.def.fields.length - a.def.fields.length;
+  });
+  return candidates[0] || ALL_DOCS_INDEX;
+};
+
+// the documents matching a Cloudant Query, in order
+Database.prototype.find = function(query) {
+  var self = this;
+  var docs = [];
+  this.ids().forEach(function(id) {
+    if (id.indexOf('_design/') === 0) {
+      return;
+    }
+    var doc = self.body(self.docs[id]);
+    if (selector.match(query.selector, doc)) {
+      docs.push(doc);
+    }
+  });
+  var sort = [].concat(query.sort || []).map(function(s) {
+    return typeof s === 'string' ? { field: s, dir: 'asc' } : { field: Object.keys(s)[0], dir: s[Object.keys(s)[0]] };
+  });
+  if (sort.length > 0) {
+    docs.sort(function(a, b) {
+      for (var i = 0; i < sort.length; i++) {
+        var c = selector.collate(selector.getField(a, sort[i].field), selector.getField(b, sort[i].field));
+        if (c !== 0) {
+          return sort[i].dir === 'desc' ? -c : c;
+        }
+      }
+      return 0;
+    });
+  }
+  return docs;
+};
+
+// reject a query as the server would, if it isn't valid
+var checkQuery = function(query) {
+  if (!json.isObject(query) || query.selector === undefined) {
+    throw new HttpError(400, 'missing_required_key', 'Missing required key: selector');
+  }
+  var problems = mango.validate(query);
+  if (problems.length > 0) {
+    throw new HttpError(400, 'bad_request', problems[0]);
+  }
+};
+
+// the fields of a document selected by a query
+var project = function(doc, fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return doc;
+  }
+  var projected = {};
+  fields.forEach(function(field) {
+    var value = selector.getField(doc, field);
+    if (value === undefined) {
+      return;
+    }
+    var path = selector.parseField(field);
+    var target = projected;
+    path.slice(0, -1).forEach(function(name) {
+      target[name] = json.isObject(target[name]) ? target[name] : {};
+      target = target[name];
+    });
+    target[path[path.length - 1]] = value;
+  });
+  return projected;
+};
+
+var encodeBookmark = function(position) {
+  return Buffer.from(JSON.stringify([position])).toString('base64');
+};
+
+var decodeBookmark = function(bookmark) {
+  try {
+    return JSON.parse(Buffer.from(bookmark, 'base64').toString())[0] || 0;
+  } catch (e) {
+    throw new HttpError(400, 'invalid_bookmark', 'Invalid bookmark value: ' + bookmark);
+  }
+};
+
+// the handlers of a database's endpoints
+var dbHandlers = {
+  _all_docs: function(db, req) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      throw notImplemented(req.method, req.path);
+    }
+    var q = Object.assign({}, req.query, req.method === 'POST' ? req.body : {});
+    var includeDocs = truthy(q.include_docs);
+    var ids = db.ids();
+    var keys = param(q.keys);
+    var rows;
+    if (Array.isArray(keys)) {
+      rows = keys.map(function(key) {
+        var record = db.docs[key];
+        if (!record) {
+          return { key: key, error: 'not_found' };
+        }
+        var row = { id: key, key: key, value: { rev: record.rev } };
+        if (record.deleted) {
+          row.value.deleted = true;
+        }
+        if (includeDocs) {
+          row.doc = record.deleted ? null : db.body(record);
+        }
+        return row;
+      });
+      return { statusCode: 200, body: { total_rows: ids.length, rows: rows } };
+    }
+
+    var descending = truthy(q.descending);
+    var start = param(q.startkey !== undefined ? q.startkey : q.start_key);
+    var end = param(q.endkey !== undefined ? q.endkey : q.end_key);
+    var key = param(q.key);
+    var inclusiveEnd = q.inclusive_end === undefined || truthy(q.inclusive_end);
+    var ordered = descending ? ids.slice().reverse() : ids;
+    var selected = ordered.filter(function(id) {
+      var after = function(bound) {
+        return descending ? id <= bound : id >= bound;
+      };
+      var before = function(bound) {
+        if (id === bound) {
+          return inclusiveEnd;
+        }
+        return descending ? id > bound : id < bound;
+      };
+      return (key === undefined || id === key) &&
+        (start === undefined || after(start)) &&
+        (end === undefined || before(end));
+    });
+    var skip = parseInt(q.skip, 10) || 0;
+    var limit = q.limit === undefined ? selected.length : parseInt(q.limit, 10);
+    rows = selected.slice(skip, skip + limit).map(function(id) {
+      var row = { id: id, key: id, value: { rev: db.docs[id].rev } };
+      if (includeDocs) {
+        row.doc = db.body(db.docs[id]);
+      }
+      return row;
+    });
+    var offset = rows.length > 0 ? ordered.indexOf(rows[0].id) : ids.length;
+    return { statusCode: 200, body: { total_rows: ids.length, offset: offset, rows: rows } };
+  },
+
+  _bulk_docs: function(db, req) {
+    if (req.method !== 'POST') {
+      throw notImplemented(req.method, req.path);
+    }
+    if (!json.isObject(req.body) || !Array.isArray(req.body.docs)) {
+      throw new HttpError(400, 'bad_request', 'POST body must include `docs` parameter.');
+    }
+    var newEdits = req.body.new_edits !== false;
+    var results = [];
+    req.body.docs.forEach(function(doc) {
+      try {
+        var saved = db.save(doc, newEdits);
+        if (newEdits) {
+          results.push({ ok: true, id: saved.id, rev: saved.rev });
+        }
+      } catch (e) {
+        if (!(e instanceof HttpError)) {
+          throw e;
+        }
+        results.push({ id: (doc && doc._id) || null, error: e.body.error, reason: e.body.reason });
+      }
+    });
+    return { statusCode: 201, body: results };
+  },
+
+  _bulk_get: function(db, req) {
+    if (req.method !== 'POST') {
+      throw notImplemented(req.method, req.path);
+    }
+    if (!json.isObject(req.body) || !Array.isArray(req.body.docs)) {
+      throw new HttpError(400, 'bad_request', 'Missing JSON list of \'docs\'.');
+    }
+    var revs = truthy(req.query.revs);
+    var results = req.body.docs.map(function(wanted) {
+      var record = db.record(String(wanted.id));
+      var found = record && (wanted.rev ? record.rev === wanted.rev : !record.deleted);
+      if (!found) {
+        return { id: wanted.id,
+          docs: [{ error: { id: wanted.id, rev: wanted.rev || 'undefined', error: 'not_found', reason: record ? 'deleted' : 'missing' } }] };
+      }
+      return { id: wanted.id, docs: [{ ok: db.body(record, revs) }] };
+    });
+    return { statusCode: 200, body: { results: results } };
+  },
+
+  _find: function(db, req) {
+    if (req.method !== 'POST') {
+      throw notImplemented(req.method, req.path);
+    }
+    var query = req.body;
+    checkQuery(query);
+    var docs = db.find(query);
+    var limit = query.limit === undefined ? DEFAULT_LIMIT : query.limit;
+    var start = query.bookmark && query.bookmark !== 'nil' ? decodeBookmark(query.bookmark) : (query.skip || 0);
+    var page = docs.slice(start, start + limit);
+    var body = {
+      docs: page.map(function(doc) {
+        return project(doc, query.fields);
+      }),
+      bookmark: page.length > 0 ? encodeBookmark(start + page.length) : (query.bookmark || 'nil')
+    };
+    if (db.chooseIndex(query) === ALL_DOCS_INDEX) {
+      body.warning = FULL_SCAN_WARNING;
+    }
+    if (query.execution_stats) {
+      body.execution_stats = {
+        total_keys_examined: 0,
+        total_docs_examined: db.ids().length,
+        total_quorum_docs_examined: 0,
+        results_returned: page.length,
+        execution_time_ms: 0
+      };
+    }
+    return { statusCode: 200, body: body };
+  },
+
+  _explain: function(db, req) {
+    if (req.method !== 'POST') {
+      throw notImplemented(req.method, req.path);
+    }
+    var query = req.body;
+    checkQuery(query);
+    var limit = query.limit === undefined ? DEFAULT_LIMIT : query.limit;
+    return { statusCode: 200,
+      body: {
+        dbname: db.name,
+        index: db.chooseIndex(query),
+        selector: query.selector,
+        opts: {
+          use_index: [].concat(query.use_index || []),
+          bookmark: query.bookmark || 'nil',
+          limit: limit,
+          skip: query.skip || 0,
+          sort: query.sort || {},
+          fields: query.fields || 'all_fields'
+        },
+        limit: limit,
+        skip: query.skip || 0,
+        fields: query.fields || 'all_fields'
+      } };
+  },
+
+  _index: function(db, req, rest) {
+    if (req.method === 'GET' && rest.length === 0) {
+      var indexes = [ALL_DOCS_INDEX].concat(db.indexes);
+      return { statusCode: 200, body: { total_rows: indexes.length, indexes: json.copy(indexes) } };
+    }
+    if (req.method === 'POST' && rest.length === 0) {
+      var definition = req.body;
+      if (!json.isObject(definition) || !json.isObject(definition.index)) {
+        throw new HttpError(400, 'missing_required_key', 'Missing required key: index');
+      }
+      var type = definition.type || 'json';
+      var def = json.copy(definition.index);
+      if (type === 'json') {
+        if (!Array.isArray(def.fields) || def.fields.length === 0) {
+          throw new HttpError(400, 'missing_required_key', 'Missing required key: fields');
+        }
+        def.fields = def.fields.map(function(f) {
+          if (typeof f === 'string') {
+            var field = {};
+            field[f] = 'asc';
+            return field;
+          }
+          return f;
+        });
+      }
+      var name = definition.name || hash([type, def]);
+      var ddoc = definition.ddoc || hash([type, def]);
+      ddoc = ddoc.indexOf('_design/') === 0 ? ddoc : '_design/' + ddoc;
+      var existing = db.indexes.filter(function(index) {
+        return index.ddoc === ddoc && index.name === name;
+      })[0];
+      if (existing && JSON.stringify(existing.def) === JSON.stringify(def) && existing.type === type) {
+        return { statusCode: 200, body: { result: 'exists', id: ddoc, name: name } };
+      }
+      db.indexes = db.indexes.filter(function(index) {
+        return index !== existing;
+      }).concat({ ddoc: ddoc, name: name, type: type, def: def });
+      return { statusCode: 200, body: { result: 'created', id: ddoc, name: name } };
+    }
+    if (req.method === 'DELETE' && rest.length >= 3) {
+      // the design document may be given as _design/name, _design%2Fname or name
+      if (rest[0] === '_design') {
+        rest = ['_design/' + rest[1]].concat(rest.slice(2));
+      }
+      var id = rest[0].indexOf('_design/') === 0 ? rest[0] : '_design/' + rest[0];
+      var before = db.indexes.length;
+      db.indexes = db.indexes.filter(function(index) {
+        return !(index.ddoc === id && index.type === rest[1] && index.name === rest[2]);
+      });
+      if (db.indexes.length === before) {
+        throw new HttpError(404, 'not_found', 'Index not found');
+      }
+      return { statusCode: 200, body: { ok: true } };
+    }
+    throw notImplemented(req.method, req.path);
+  },
+
+  _security: function(db, req) {
+    if (req.method === 'GET') {
+      return { statusCode: 200, body: json.copy(db.security) };
+    }
+    if (req.method === 'PUT') {
+      if (!json.isObject(req.body)) {
+        throw new HttpError(400, 'bad_request', 'Security object must be a JSON object');
+      }
+      db.security = json.copy(req.body);
+      return { statusCode: 200, body: { ok: true } };
+    }
+    throw notImplemented(req.method, req.path);
+  }
+};
+
+// GET, PUT and DELETE a document
+var handleDoc = function(db, id, req) {
+  var record = db.record(id);
+  var saved;
+  switch (req.method) {
+    case 'GET':
+    case 'HEAD':
+      if (!record || (record.deleted && req.query.rev !== record.rev)) {
+        throw new HttpError(404, 'not_found', record ? 'deleted' : 'missing');
+      }
+      if (req.query.rev && req.query.rev !== record.rev) {
+        // only the latest revision is kept, as if the database was compacted
+        throw new HttpError(404, 'not_found', 'missing');
+      }
+      return { statusCode: 200, body: db.body(record, truthy(req.query.revs)), headers: { ETag: '"' + record.rev + '"' } };
+    case 'PUT':
+      if (!json.isObject(req.body)) {
+        throw new HttpError(400, 'bad_request', 'Document must be a JSON object');
+      }
+      var doc = Object.assign({}, req.body, { _id: id });
+      if (!doc._rev && req.query.rev) {
+        doc._rev = req.query.rev;
+      }
+      saved = db.save(doc, !(req.query.new_edits === 'false'));
+      return { statusCode: 201, body: { ok: true, id: saved.id, rev: saved.rev }, headers: { ETag: '"' + saved.rev + '"' } };
+    case 'DELETE':
+      var rev = req.query.rev || (req.headers['if-match'] || '').replace(/"/g, '');
+      if (!record || record.deleted) {
+        throw new HttpError(404, 'not_found', record ? 'deleted' : 'missing');
+      }
+      saved = db.save({ _id: id, _rev: rev || undefined, _deleted: true });
+      return { statusCode: 200, body: { ok: true, id: saved.id, rev: saved.rev }, headers: { ETag: '"' + saved.rev + '"' } };
+    default:
+      throw notImplemented(req.method, req.path);
+  }
+};
+
+// the endpoints of a database and its documents
+var handleDb = function(account, name, rest, req) {
+  var db = account.dbs[name];
+  if (rest.length === 0) {
+    switch (req.method) {
+      case 'PUT':
+        if (!DB_NAME.test(name) && SYSTEM_DBS.indexOf(name) === -1) {
+          throw new HttpError(400, 'illegal_database_name', 'Name: \'' + name + '\'. Only lowercase characters (a-z), ' +
+            'digits (0-9), and any of the characters _, $, (, ), +, -, and / are allowed. Must begin with a letter.');
+        }
+        if (db) {
+          throw new HttpError(412, 'file_exists', 'The database could not be created, the file already exists.');
+        }
+        account.dbs[name] = new Database(name);
+        return { statusCode: 201, body: { ok: true } };
+      case 'GET':
+      case 'HEAD':
+        if (!db) {
+          throw missingDatabase();
+        }
+        return { statusCode: 200, body: db.info() };
+      case 'DELETE':
+        if (!db) {
+          throw missingDatabase();
+        }
+        delete account.dbs[name];
+        return { statusCode: 200, body: { ok: true } };
+      case 'POST':
+        if (!db) {
+          throw missingDatabase();
+        }
+        var saved = db.save(req.body, true);
+        return { statusCode: 201, body: { ok: true, id: saved.id, rev: saved.rev } };
+      default:
+        throw notImplemented(req.method, req.path);
+    }
+  }
+  if (!db) {
+    throw missingDatabase();
+  }
+  if (dbHandlers.hasOwnProperty(rest[0])) {
+    return dbHandlers[rest[0]](db, req, rest.slice(1));
+  }
+  // _design/name and _local/name may or may not have their slash encoded
+  if ((rest[0] === '_design' || rest[0] === '_local') && rest.length === 2) {
+    return handleDoc(db, rest[0] + '/' + rest[1], req);
+  }
+  if (rest.length === 1) {
+    return handleDoc(db, rest[0], req);
+  }
+  throw notImplemented(req.method, req.path);
+};
+
+// the authenticated user's name, false if the credentials are wrong or null
+// if there aren't any
+var authenticate = function(account, opts, req) {
+  var header = req.headers.authorization || '';
+  if (header.indexOf('Basic ') === 0) {
+    var credentials = Buffer.from(header.slice(6), 'base64').toString();
+    var i = credentials.indexOf(':');
+    var name = credentials.slice(0, i);
+    if (opts.username && (name !== opts.username || credentials.slice(i + 1) !== opts.password)) {
+      return false;
+    }
+    return name;
+  }
+  var match = (req.headers.cookie || '').match(/AuthSession=([^;]+)/);
+  if (match && account.sessions[match[1]]) {
+    return account.sessions[match[1]];
+  }
+  return null;
+};
+
+var handleSession = function(account, opts, req, user) {
+  switch (req.method) {
+    case 'GET':
+      return { statusCode: 200,
+        body: {
+          ok: true,
+          info: { authentication_db: '_users', authentication_handlers: ['cookie', 'default'] },
+          userCtx: { name: user || null, roles: user ? ['_admin'] : [] }
+        } };
+    case 'POST':
+      var body = req.body || {};
+      var name = body.name || body.username;
+      if (!name || (opts.username && (name !== opts.username || body.password !== opts.password))) {
+        throw new HttpError(401, 'unauthorized', 'Name or password is incorrect.');
+      }
+      var token = crypto.randomBytes(16).toString('hex');
+      account.sessions[token] = name;
+      return { statusCode: 200,
+        body: { ok: true, name: name, roles: ['_admin'] },
+        headers: { 'Set-Cookie': 'AuthSession=' + token + '; Version=1; Path=/; HttpOnly' } };
+    case 'DELETE':
+      return { statusCode: 200, body: { ok: true } };
+    default:
+      throw notImplemented(req.method, req.path);
+  }
+};
+
+var handleCors = function(account, req) {
+  if (req.method === 'GET') {
+    return { statusCode: 200, body: json.copy(account.cors) };
+  }
+  if (req.method === 'PUT') {
+    var config = req.body;
+    if (!json.isObject(config) || (config.origins !== undefined && !Array.isArray(config.origins))) {
+      throw new HttpError(400, 'bad_request', 'Invalid CORS configuration');
+    }
+    account.cors = {
+      enable_cors: config.enable_cors !== false,
+      allow_credentials: config.allow_credentials !== false,
+      origins: config.origins || []
+    };
+    return { statusCode: 200, body: { ok: true } };
+  }
+  throw notImplemented(req.method, req.path);
+};
+
+// route a request to the endpoint which handles it
+var handle = function(account, opts, req) {
+  var user = authenticate(account, opts, req);
+  var segments = req.path.split('/').filter(function(s) {
+    return s;
+  }).map(function(s) {
+    return decodeURIComponent(s);
+  });
+
+  if (segments.length === 0) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      throw notImplemented(req.method, req.path);
+    }
+    return { statusCode: 200,
+      body: { couchdb: 'Welcome', version: '2.1.1', vendor: { name: 'IBM Cloudant', variant: 'paas' }, features: [] } };
+  }
+  if (segments[0] === '_session') {
+    return handleSession(account, opts, req, user);
+  }
+  if (user === false || (opts.username && !user)) {
+    throw new HttpError(401, 'unauthorized', 'Name or password is incorrect.');
+  }
+  if (segments[0] === '_all_dbs' && req.method === 'GET') {
+    return { statusCode: 200, body: Object.keys(account.dbs).sort() };
+  }
+  if (segments.join('/') === '_api/v2/user/config/cors') {
+    return handleCors(account, req);
+  }
+  if (segments.length === 5 && segments.slice(0, 3).join('/') === '_api/v2/db' && segments[4] === '_security') {
+    return handleDb(account, segments[3], ['_security'], req);
+  }
+  if (segments[0].charAt(0) === '_' && SYSTEM_DBS.indexOf(segments[0]) === -1) {
+    throw notImplemented(req.method, req.path);
+  }
+  return handleDb(account, segments[0], segments.slice(1), req);
+};
+
+// read a request's body, which may be JSON or a form
+var readBody = function(req, callback) {
+  var chunks = [];
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  }).on('end', function() {
+    var text = Buffer.concat(chunks).toString('utf8');
+    if (!text) {
+      return callback(null, undefined);
+    }
+    if (/application\/x-www-form-urlencoded/.test(req.headers['content-type'] || '')) {
+      return callback(null, querystring.parse(text));
+    }
+    try {
+      callback(null, JSON.parse(text));
+    } catch (e) {
+      callback(new HttpError(400, 'bad_request', 'invalid UTF-8 JSON'));
+    }
+  }).on('error', callback);
+};
+
+var start = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  return promisify(callback, function(cb) {
+    var account = new Account();
+    var injected = []; // the 429 responses to inject
+    var sockets = [];
+
+    var fake = {
+      requests: []
+    };
+
+    // fail the next `count` requests whose path matches a RegExp, or which a
+    // function accepts, with 429 Too Many Requests
+    fake.inject429 = function(count, match) {
+      injected.push({ count: count === undefined ? 1 : count, match: match || null });
+    };
+
+    // forget every database, session, request and injected 429
+    fake.reset = function() {
+      account = new Account();
+      injected = [];
+      fake.requests.length = 0;
+    };
+
+    var tooManyRequests = function(req) {
+      for (var i = 0; i < injected.length; i++) {
+        var m = injected[i].match;
+        if (!m || (m instanceof RegExp ? m.test(req.path) : m(req))) {
+          if (--injected[i].count <= 0) {
+            injected.splice(i, 1);
+          }
+          return true;
+        }
+      }
+      return false;
+    };
+
+    var server = http.createServer(function(request, response) {
+      var parsed = u.parse(request.url, true);
+      var req = {
+        method: request.method,
+        path: parsed.pathname,
+        query: parsed.query,
+        headers: request.headers
+      };
+      var reply = function(statusCode, body, headers) {
+        var text = JSON.stringify(body) + '\n';
+        response.writeHead(statusCode, Object.assign({
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(text),
+          'Cache-Control': 'must-revalidate',
+          'X-Couch-Request-ID': crypto.randomBytes(5).toString('hex')
+        }, headers));
+        response.end(text);
+      };
+      readBody(request, function(err, body) {
+        req.body = body;
+        fake.requests.push({ method: req.method, path: req.path, query: req.query, body: body });
+        debug('fake server %s %s', req.method, req.path);
+        if (tooManyRequests(req)) {
+          return reply(429, { error: 'too_many_requests', reason: 'You\'ve exceeded your rate limit allowance. Please try again later.' });
+        }
+        var result;
+        try {
+          if (err) {
+            throw err;
+          }
+          result = handle(account, opts, req);
+        } catch (e) {
+          if (!(e instanceof HttpError)) {
+            debug(e);
+            return reply(500, { error: 'unknown_error', reason: e.message });
+          }
+          return reply(e.statusCode, e.body);
+        }
+        reply(result.statusCode, result.body, result.headers);
+      });
+    });
+
+    // keep track of the sockets so close() needn't wait for keep-alive ones
+    server.on('connection', function(socket) {
+      sockets.push(socket);
+      socket.on('close', function() {
+        sockets.splice(sockets.indexOf(socket), 1);
+      });
+    });
+
+    fake.close = function(callback) {
+      return promisify(callback, function(cb) {
+        server.close(function() {
+          cb(null);
+        });
+        sockets.forEach(function(socket) {
+          socket.destroy();
+        });
+      });
+    };
+
+    server.on('error', cb);
+    server.listen(opts.port || 0, '127.0.0.1', function() {
+      var credentials = opts.username ? encodeURIComponent(opts.username) + ':' + encodeURIComponent(opts.password) + '@' : '';
+      fake.port = server.address().port;
+      fake.url = 'http://' + credentials + '127.0.0.1:' + fake.port;
+      debug('fake server listening on port %d', fake.port);
+      cb(null, fake);
+    });
+  });
+};
+
+module.exports = {
+  start: start
+};
@@ -0,0 +1,105 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// fullscan warns about Cloudant Query queries which aren't served by an index
+// and so would scan the whole database (the special _all_docs index).
+//
+// Each query is explained once per database and selector shape, i.e. the
+// selector's fields and operators but not its values, along with the query
+// options which influence the choice of index. The warning handler is called
+// once for each full scan shape with
+// { db, selector, index, message }.
+
+var debug = require('./redact.js').debug('cloudant');
+
+// the number of shapes to remember before starting afresh
+var MAX_SHAPES = 1000;
+
+// replace the values in a selector, keeping its fields and operators
+var shape = function(selector) {
+  if (Array.isArray(selector)) {
+    return selector.map(shape);
+  }
+  if (selector && typeof selector === 'object') {
+    var s = {};
+    Object.keys(selector).sort().forEach(function(key) {
+      s[key] = shape(selector[key]);
+    });
+    return s;
+  }
+  return typeof selector;
+};
+
+var isFullScan = function(explanation) {
+  var index = (explanation && explanation.index) || {};
+  return index.type === 'special' || index.name === '_all_docs';
+};
+
+// emit a process warning (e.g. logged to stderr) where Node.js supports it
+var emitWarning = function(warning) {
+  if (typeof process.emitWarning === 'function') {
+    process.emitWarning(warning.message, 'CloudantFullScanWarning');
+  }
+};
+
+module.exports = function(handler) {
+  var warn = typeof handler === 'function' ? handler : emitWarning;
+  var shapes = {};
+  var count = 0;
+
+  // explain(query, callback) runs the query through POST /{db}/_explain
+  return function(db, query, explain) {
+    query = query || {};
+    var key = db + ' ' + JSON.stringify({
+      selector: shape(query.selector),
+      sort: query.sort,
+      use_index: query.use_index
+    });
+
+    if (shapes.hasOwnProperty(key)) {
+      if (shapes[key]) {
+        debug('Full scan of database %s', db);
+      }
+      return;
+    }
+    if (count >= MAX_SHAPES) {
+      shapes = {};
+      count = 0;
+    }
+    // null while the explanation is outstanding
+    shapes[key] = null;
+    count++;
+
+    explain(query, function(err, explanation) {
+      if (err) {
+        // try again next time
+        debug('Failed to explain query: %s', err.message || err);
+        delete shapes[key];
+        count--;
+        return;
+      }
+      shapes[key] = isFullScan(explanation);
+      if (shapes[key]) {
+        var message = 'Cloudant Query on database "' + db + '" is not served by an index ' +
+                      'and will scan every document: ' + JSON.stringify(query.selector);
+        debug(message);
+        warn({ db: db, selector: query.selector, index: explanation.index, message: message });
+      }
+    });
+  };
+};
+
+module.exports.shape = shape;
+module.exports.isFullScan = isFullScan;
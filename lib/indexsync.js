@@ -0,0 +1,123 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// indexsync compares the desired Cloudant Query indexes (as passed to
+// db.index()) with the existing ones (as listed by GET /{db}/_index) and
+// returns a plan of the changes needed to bring them into line:
+//
+// { create:    [entry],  - desired indexes which don't exist
+//   update:    [entry],  - indexes whose definition has changed
+//   delete:    [entry],  - existing indexes which aren't desired (prune only)
+//   unchanged: [entry] }
+//
+// where each entry is { ddoc, name, type, definition }. ddoc is the existing
+// index's design document (if any) and definition is the desired definition
+// (if any).
+
+var json = require('./json.js');
+
+var DESIGN_PREFIX = '_design/';
+
+var ddocId = function(ddoc) {
+  if (!ddoc) {
+    return null;
+  }
+  return ddoc.indexOf(DESIGN_PREFIX) === 0 ? ddoc : DESIGN_PREFIX + ddoc;
+};
+
+// convert fields to the form GET /_index returns them in
+// e.g. 'foo' => {foo: 'asc'}, {name: 'foo', type: 'string'} => {foo: 'string'}
+var normalizeField = function(field) {
+  var normalized = {};
+  if (typeof field === 'string') {
+    normalized[field] = 'asc';
+  } else if (field && typeof field.name === 'string' && Object.keys(field).length <= 2) {
+    normalized[field.name] = field.type || 'asc';
+  } else {
+    return field;
+  }
+  return normalized;
+};
+
+var normalizeDef = function(index) {
+  var def = Object.assign({}, index);
+  if (Array.isArray(def.fields)) {
+    def.fields = def.fields.map(normalizeField);
+  }
+  return def;
+};
+
+// an existing definition matches if it has every property of the desired
+// one, as Cloudant fills in defaults (e.g. a text index's analyzer), and is
+// partitioned or global as asked
+var matches = function(existing, desired) {
+  var want = normalizeDef(desired.index || {});
+  var have = existing.def || {};
+  if (typeof desired.partitioned === 'boolean' && typeof existing.partitioned === 'boolean' &&
+      desired.partitioned !== existing.partitioned) {
+    return false;
+  }
+  return Object.keys(want).every(function(key) {
+    return json.same(have[key], want[key]);
+  });
+};
+
+module.exports = function(existing, definitions, opts) {
+  opts = opts || {};
+  var plan = { create: [], update: [], delete: [], unchanged: [] };
+
+  // the special _all_docs index can't be changed
+  var candidates = (existing || []).filter(function(index) {
+    return index.type !== 'special';
+  });
+
+  definitions.forEach(function(definition) {
+    if (!definition || !definition.name) {
+      throw new Error('index.sync() definitions must specify a "name" value');
+    }
+    var type = definition.type || 'json';
+    var ddoc = ddocId(definition.ddoc);
+
+    var found = null;
+    for (var i = 0; i < candidates.length; i++) {
+      var index = candidates[i];
+      if (index.name === definition.name && index.type === type &&
+          (!ddoc || index.ddoc === ddoc)) {
+        found = index;
+        candidates.splice(i, 1);
+        break;
+      }
+    }
+
+    if (!found) {
+      plan.create.push({ ddoc: ddoc, name: definition.name, type: type, definition: definition });
+      return;
+    }
+    var entry = { ddoc: found.ddoc, name: found.name, type: found.type, definition: definition };
+    if (matches(found, definition)) {
+      plan.unchanged.push(entry);
+    } else {
+      plan.update.push(entry);
+    }
+  });
+
+  if (opts.prune) {
+    candidates.forEach(function(index) {
+      plan.delete.push({ ddoc: index.ddoc, name: index.name, type: index.type, definition: null });
+    });
+  }
+
+  return plan;
+};
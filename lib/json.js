@@ -0,0 +1,48 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// json has helpers for working with JSON values e.g. documents.
+
+// a deep copy of a JSON value
+var copy = function(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+var isObject = function(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// whether two JSON values are the same, regardless of the order of keys
+var same = function(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  var keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+  return keys.every(function(key) {
+    return Object.prototype.hasOwnProperty.call(b, key) && same(a[key], b[key]);
+  });
+};
+
+module.exports = {
+  copy: copy,
+  isObject: isObject,
+  same: same
+};
@@ -0,0 +1,82 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// paginate follows the bookmarks of a paged query (e.g. Cloudant Query or
+// Cloudant Search) and returns the results as a readable object stream. The
+// stream is also an async iterator on Node.js 10 and later.
+//
+// fetch(bookmark, limit, callback) is called for each page and must call
+// callback(err, rows, bookmark) with the page's results and the bookmark of
+// the next page. Paging stops when a page comes back short, when the total
+// `limit` is reached or when the stream is destroyed e.g. by breaking out of
+// a `for await` loop.
+
+var debug = require('./redact.js').debug('cloudant');
+var stream = require('stream');
+
+var DEFAULT_PAGE_SIZE = 100;
+
+module.exports = function(fetch, opts) {
+  opts = opts || {};
+  var pageSize = opts.pageSize || DEFAULT_PAGE_SIZE;
+  var limit = opts.limit || Infinity;
+  var bookmark = opts.bookmark || null;
+  var total = 0;
+  var fetching = false;
+  var finished = false;
+
+  // only fetch the next page once the current one has been consumed
+  var s = new stream.Readable({ objectMode: true, highWaterMark: 1 });
+
+  s._read = function() {
+    if (fetching || finished) {
+      return;
+    }
+    if (total >= limit) {
+      finished = true;
+      return s.push(null);
+    }
+
+    var size = Math.min(pageSize, limit - total);
+    fetching = true;
+    debug('fetching page of %d with bookmark %s', size, bookmark);
+    fetch(bookmark, size, function(err, rows, next) {
+      fetching = false;
+
+      // the consumer has gone away
+      if (s.destroyed) {
+        return;
+      }
+      if (err) {
+        finished = true;
+        return s.destroy ? s.destroy(err) : s.emit('error', err);
+      }
+
+      rows = rows || [];
+      total += rows.length;
+      finished = rows.length < size || total >= limit || !next || next === bookmark;
+      bookmark = next;
+
+      rows.forEach(function(row) {
+        s.push(row);
+      });
+      if (finished) {
+        s.push(null);
+      }
+    });
+  };
+
+  return s;
+};
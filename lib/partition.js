@@ -0,0 +1,138 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// partition makes requests scoped to a single partition of a partitioned
+// database, i.e. to the /{db}/_partition/{key}/... endpoints:
+//
+// var p = require('./lib/partition.js')('sensors', 'sensor-123', request);
+// p.find({ selector: { type: 'reading' } }, function(err, data) { ... });
+//
+// In a partitioned database every document id other than those of design
+// and _local documents has the form partition:docid. A partition key is any
+// non-empty string which doesn't start with an underscore or contain a colon.
+//
+// request(opts, callback) makes a request as nano.request does, returning a
+// Promise when there's no callback. checkFullScan(db, query, explain), if
+// given, checks the Cloudant Query queries as db.find() does.
+
+var errors = require('./errors.js');
+var mango = require('./query.js');
+var search = require('./search.js');
+
+// the problem with a partition key, or null if it's a valid one
+var checkKey = function(key) {
+  if (typeof key !== 'string' || !key) {
+    return 'A partition key must be a non-empty string';
+  }
+  if (key.charAt(0) === '_') {
+    return 'Partition key ' + key + ' must not start with an underscore';
+  }
+  if (key.indexOf(':') !== -1) {
+    return 'Partition key ' + key + ' must not contain a colon';
+  }
+  return null;
+};
+
+// the problem with a document id in a partitioned database, or null if it's
+// a valid one
+var checkId = function(id) {
+  if (typeof id !== 'string' || !id) {
+    return 'Documents in a partitioned database must have an id of the form partition:docid';
+  }
+  if (id.indexOf('_design/') === 0 || id.indexOf('_local/') === 0) {
+    return null;
+  }
+  var colon = id.indexOf(':');
+  if (colon === -1 || colon === id.length - 1) {
+    return 'Document id ' + id + ' must have the form partition:docid';
+  }
+  var problem = checkKey(id.slice(0, colon));
+  return problem ? 'Document id ' + id + ' is invalid: ' + problem : null;
+};
+
+// the CloudantError for a document id which isn't valid in a partitioned
+// database, or null
+var idError = function(id) {
+  var problem = checkId(id);
+  return problem ? new errors.CloudantError(problem, { id: id }) : null;
+};
+
+module.exports = function(db, key, request, checkFullScan) {
+  var problem = checkKey(key);
+  if (problem) {
+    throw new errors.CloudantError(problem, { partition: key });
+  }
+  var base = encodeURIComponent(db) + '/_partition/' + encodeURIComponent(key);
+
+  // GET, or POST when there are keys as nano does for views
+  var query = function(path, qs, callback) {
+    if (typeof qs === 'function') {
+      callback = qs;
+      qs = {};
+    }
+    qs = Object.assign({}, qs);
+    if (qs.keys) {
+      var keys = qs.keys;
+      delete qs.keys;
+      return request({ path: path, method: 'post', qs: qs, body: { keys: keys } }, callback);
+    }
+    return request({ path: path, qs: qs }, callback);
+  };
+
+  var designPath = function(ddoc, type, name) {
+    return base + '/_design/' + encodeURIComponent(ddoc) + '/' + type + '/' + encodeURIComponent(name);
+  };
+
+  var explain = function(q, callback) {
+    return request({ path: base + '/_explain', method: 'post', body: mango.params(q) }, callback);
+  };
+
+  return {
+    // the partition's document count and size
+    info: function(callback) {
+      return request({ path: base }, callback);
+    },
+
+    list: function(qs, callback) {
+      return query(base + '/_all_docs', qs, callback);
+    },
+
+    find: function(q, callback) {
+      var query = mango.params(q);
+      if (checkFullScan) {
+        // the partitions of a database share their indexes
+        checkFullScan(db + '/_partition', query, explain);
+      }
+      return request({ path: base + '/_find', method: 'post', body: query }, callback);
+    },
+
+    explain: explain,
+
+    view: function(ddoc, name, qs, callback) {
+      return query(designPath(ddoc, '_view', name), qs, callback);
+    },
+
+    // the query may be a Lucene string, a parameters object or a
+    // Cloudant.search.query() builder
+    search: function(ddoc, name, q, callback) {
+      return request({ path: designPath(ddoc, '_search', name),
+        method: 'post',
+        body: search.params(q) }, callback);
+    }
+  };
+};
+
+module.exports.checkId = checkId;
+module.exports.idError = idError;
@@ -0,0 +1,70 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// pipeline combines a list of request plugins into a single request function
+// e.g. ['cookieauth', 'retry', 'promises']
+// or   [function(req, callback, next) { return next(req, callback); }]
+//
+// Each plugin is a middleware function(req, callback, next) which makes its
+// request by calling next(req, callback). Plugins are applied in the order
+// given: the first plugin is closest to the HTTP request and each subsequent
+// plugin wraps the one before it. Strings are resolved under ./plugins/.
+// An optional terminal function(req, callback) makes the HTTP requests.
+
+var debug = require('./redact.js').debug('cloudant');
+
+module.exports = function(plugins, options, terminal) {
+  var requestDefaults = options.requestDefaults || {jar: false};
+  var request = require('request').defaults(requestDefaults);
+
+  if (!Array.isArray(plugins)) {
+    plugins = [plugins];
+  }
+
+  // the 'promises' plugin returns a Promise rather than a stream so nothing
+  // else can be layered on top of it
+  var promises = plugins.indexOf('promises');
+  if (promises > -1 && promises < plugins.length - 1) {
+    throw new Error('The "promises" plugin must be the last plugin');
+  }
+
+  // the innermost handler makes the HTTP request itself
+  terminal = terminal || function(req, callback) {
+    return request(req, callback);
+  };
+
+  // the middleware instances e.g. for the client to call their logout()
+  var instances = [];
+
+  var handler = plugins.reduce(function(next, plugin) {
+    var middleware;
+    if (typeof plugin === 'string') {
+      debug('Using the "' + plugin + '" plugin');
+      middleware = require('../plugins/' + plugin)(options);
+    } else if (typeof plugin === 'function') {
+      debug('Using a custom plugin');
+      middleware = plugin;
+    } else {
+      throw new Error('Invalid plugin: ' + plugin);
+    }
+    instances.push(middleware);
+    return function(req, callback) {
+      return middleware(req, callback, next);
+    };
+  }, terminal);
+
+  handler.plugins = instances;
+  return handler;
+};
@@ -0,0 +1,45 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// promisify runs an asynchronous function which takes a Node.js style
+// callback. If the caller supplied a callback the function's own return
+// value (e.g. a request stream) is returned, otherwise a Promise is returned
+// which resolves with the callback's result or rejects with its error.
+//
+// e.g. return promisify(callback, function(cb) {
+//        return nano.request({ path: '_api/v2/user/config/cors' }, cb);
+//      });
+
+module.exports = function(callback, fn) {
+  if (typeof callback === 'function') {
+    return fn(callback);
+  }
+  return new Promise(function(resolve, reject) {
+    var r = fn(function(err, data) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data);
+      }
+    });
+
+    // the 'promises' plugin returns a Promise of its own which rejects
+    // alongside our callback - it's superseded by ours so don't let it go
+    // unhandled
+    if (r && typeof r.then === 'function' && typeof r.catch === 'function') {
+      r.catch(function() {});
+    }
+  });
+};
@@ -0,0 +1,485 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// query builds and checks Cloudant Query (Mango) queries before they're sent
+// and evaluates their selectors locally
+// e.g. new query.MangoQuery(db).where('type').eq('order').and('total').gt(100).limit(50)
+//      query.validate({ selector: { total: { $equal: 100 } } })
+//        => ['Invalid operator $equal at selector.total']
+//      query.match({ total: { $gt: 100 } }, { total: 150 }) => true
+
+var errors = require('./errors.js');
+var json = require('./json.js');
+var selector = require('./selector.js');
+
+// the operators which combine selectors, and whether they take a list
+var COMBINATIONS = {
+  $and: true,
+  $or: true,
+  $nor: true,
+  $not: false
+};
+
+var TYPES = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+var isInteger = function(value) {
+  return typeof value === 'number' && value % 1 === 0;
+};
+
+// check the argument of an operator, returning a problem with it or null.
+// $elemMatch, $allMatch and $keyMapMatch take selectors, checked separately.
+var CONDITIONS = {
+  $eq: null,
+  $ne: null,
+  $lt: null,
+  $lte: null,
+  $gt: null,
+  $gte: null,
+  $in: function(arg) {
+    return Array.isArray(arg) ? null : 'must be an array';
+  },
+  $nin: function(arg) {
+    return Array.isArray(arg) ? null : 'must be an array';
+  },
+  $all: function(arg) {
+    return Array.isArray(arg) ? null : 'must be an array';
+  },
+  $exists: function(arg) {
+    return typeof arg === 'boolean' ? null : 'must be a boolean';
+  },
+  $type: function(arg) {
+    return TYPES.indexOf(arg) > -1 ? null : 'must be one of ' + TYPES.join(', ');
+  },
+  $size: function(arg) {
+    return isInteger(arg) && arg >= 0 ? null : 'must be a non-negative integer';
+  },
+  $mod: function(arg) {
+    var ok = Array.isArray(arg) && arg.length === 2 && isInteger(arg[0]) && isInteger(arg[1]) && arg[0] !== 0;
+    return ok ? null : 'must be [divisor, remainder] with a non-zero integer divisor';
+  },
+  $regex: function(arg) {
+    if (typeof arg !== 'string') {
+      return 'must be a string';
+    }
+    try {
+      RegExp(arg);
+    } catch (e) {
+      return 'is not a valid regular expression';
+    }
+    return null;
+  },
+  $beginsWith: function(arg) {
+    return typeof arg === 'string' ? null : 'must be a string';
+  },
+  $elemMatch: null,
+  $allMatch: null,
+  $keyMapMatch: null
+};
+
+// the operators whose argument is a selector
+var SUBSELECTORS = ['$elemMatch', '$allMatch', '$keyMapMatch'];
+
+// check a selector, adding its problems to a list. Operators other than
+// combinations only apply to a field's value, i.e. inside a field.
+var checkSelector = function(sel, at, inField, problems) {
+  if (!json.isObject(sel)) {
+    problems.push(at + ' must be an object');
+    return;
+  }
+  Object.keys(sel).forEach(function(key) {
+    var arg = sel[key];
+    var here = at + '.' + key;
+    if (COMBINATIONS.hasOwnProperty(key)) {
+      if (COMBINATIONS[key]) {
+        if (!Array.isArray(arg)) {
+          problems.push(key + ' at ' + at + ' must be an array of selectors');
+          return;
+        }
+        arg.forEach(function(s, i) {
+          checkSelector(s, here + '[' + i + ']', inField, problems);
+        });
+      } else {
+        checkSelector(arg, here, inField, problems);
+      }
+    } else if (key === '$text') {
+      if (inField || at !== 'selector') {
+        problems.push('$text at ' + at + ' can only be used at the top level of the selector');
+      } else if (typeof arg !== 'string') {
+        problems.push('$text at ' + at + ' must be a string');
+      }
+    } else if (key.charAt(0) === '$') {
+      if (!CONDITIONS.hasOwnProperty(key)) {
+        problems.push('Invalid operator ' + key + ' at ' + at);
+      } else if (!inField) {
+        problems.push('Operator ' + key + ' at ' + at + ' must be applied to a field');
+      } else if (SUBSELECTORS.indexOf(key) > -1) {
+        checkSelector(arg, here, true, problems);
+      } else if (CONDITIONS[key]) {
+        var problem = CONDITIONS[key](arg);
+        if (problem) {
+          problems.push(key + ' at ' + at + ' ' + problem);
+        }
+      }
+    } else if (!key) {
+      problems.push('Empty field name at ' + at);
+    } else if (json.isObject(arg) && Object.keys(arg).length > 0) {
+      // the field's conditions, or the fields nested in it
+      checkSelector(arg, here, true, problems);
+    }
+  });
+};
+
+// check the sort, a list of fields or of {field: 'asc' | 'desc'}
+var checkSort = function(sort, problems) {
+  if (!Array.isArray(sort)) {
+    problems.push('sort must be an array');
+    return;
+  }
+  var directions = [];
+  sort.forEach(function(s, i) {
+    if (typeof s === 'string' && s) {
+      directions.push('asc');
+    } else if (json.isObject(s) && Object.keys(s).length === 1 && ['asc', 'desc'].indexOf(s[Object.keys(s)[0]]) > -1) {
+      directions.push(s[Object.keys(s)[0]]);
+    } else {
+      problems.push('sort[' + i + '] must be a field name or {"field": "asc" | "desc"}');
+    }
+  });
+  if (directions.some(function(d) { return d !== directions[0]; })) {
+    problems.push('sort must use the same direction for every field');
+  }
+};
+
+// check the rest of the query's options
+var OPTIONS = {
+  selector: null,
+  sort: null,
+  limit: function(value) {
+    return isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+  },
+  skip: function(value) {
+    return isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+  },
+  fields: function(value) {
+    var ok = Array.isArray(value) && value.every(function(f) {
+      return typeof f === 'string' && f;
+    });
+    return ok ? null : 'must be an array of field names';
+  },
+  use_index: function(value) {
+    var ok = (typeof value === 'string' && value) ||
+      (Array.isArray(value) && value.length > 0 && value.length <= 2 && value.every(function(v) {
+        return typeof v === 'string' && v;
+      }));
+    return ok ? null : 'must be a design document name or [design document name, index name]';
+  },
+  bookmark: function(value) {
+    return typeof value === 'string' ? null : 'must be a string';
+  },
+  r: function(value) {
+    return isInteger(value) && value >= 1 ? null : 'must be a positive integer';
+  },
+  conflicts: function(value) {
+    return typeof value === 'boolean' ? null : 'must be a boolean';
+  },
+  update: function(value) {
+    return typeof value === 'boolean' ? null : 'must be a boolean';
+  },
+  stable: function(value) {
+    return typeof value === 'boolean' ? null : 'must be a boolean';
+  },
+  stale: function(value) {
+    return value === 'ok' ? null : 'must be "ok"';
+  },
+  execution_stats: function(value) {
+    return typeof value === 'boolean' ? null : 'must be a boolean';
+  }
+};
+
+// the problems with a query, an empty list if there aren't any
+var validate = function(query) {
+  var problems = [];
+  if (!json.isObject(query)) {
+    return ['The query must be an object'];
+  }
+  if (query.selector === undefined) {
+    problems.push('The query must have a selector');
+  } else {
+    checkSelector(query.selector, 'selector', false, problems);
+  }
+  if (query.sort !== undefined) {
+    checkSort(query.sort, problems);
+  }
+  Object.keys(query).forEach(function(key) {
+    if (!OPTIONS.hasOwnProperty(key)) {
+      problems.push('Unknown query option ' + key);
+    } else if (OPTIONS[key]) {
+      var problem = OPTIONS[key](query[key]);
+      if (problem) {
+        problems.push(key + ' ' + problem);
+      }
+    }
+  });
+  return problems;
+};
+
+// whether a selector matches a document, as the server would decide
+var match = function(sel, doc) {
+  var problems = [];
+  checkSelector(sel, 'selector', false, problems);
+  if (problems.length > 0) {
+    throw new errors.CloudantError('Invalid selector: ' + problems.join(', '), { problems: problems });
+  }
+  return selector.match(sel, doc);
+};
+
+// a Cloudant Query builder. Conditions are added to a field named with
+// where(), and() or or() and clauses joined by and() bind more tightly than
+// those joined by or(). A builder created by db.query() can also run itself.
+function MangoQuery(db) {
+  this.db = db || null;
+  this.clauses = [];
+  this.operator = 'and';
+  this.field = null;
+  this.negate = false;
+  this.params = {};
+}
+
+// add a clause, joined to the previous one by the current operator
+MangoQuery.prototype.clause = function(sel) {
+  if (this.negate) {
+    sel = { $not: sel };
+    this.negate = false;
+  }
+  this.clauses.push({ operator: this.operator, selector: sel });
+  this.operator = 'and';
+  return this;
+};
+
+// add a condition to the current field
+MangoQuery.prototype.condition = function(op, arg) {
+  if (!this.field) {
+    throw new errors.CloudantError('Name a field with where(), and() or or() before calling ' + op.slice(1) + '()');
+  }
+  var cond = {};
+  cond[op] = arg;
+  var sel = {};
+  sel[this.field] = this.negate ? { $not: cond } : cond;
+  this.negate = false;
+  return this.clause(sel);
+};
+
+// start the conditions on a field
+MangoQuery.prototype.where = function(field) {
+  this.field = field;
+  return this;
+};
+
+// join the next clause with AND, optionally naming its field
+MangoQuery.prototype.and = function(field) {
+  this.operator = 'and';
+  if (field !== undefined) {
+    this.field = field;
+  }
+  return this;
+};
+
+// join the next clause with OR, optionally naming its field
+MangoQuery.prototype.or = function(field) {
+  this.operator = 'or';
+  if (field !== undefined) {
+    this.field = field;
+  }
+  return this;
+};
+
+// negate the next condition or clause
+MangoQuery.prototype.not = function() {
+  this.negate = !this.negate;
+  return this;
+};
+
+['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'all', 'type', 'size', 'regex', 'beginsWith'].forEach(function(name) {
+  MangoQuery.prototype[name] = function(arg) {
+    return this.condition('$' + name, arg);
+  };
+});
+
+MangoQuery.prototype.exists = function(exists) {
+  return this.condition('$exists', exists !== false);
+};
+
+MangoQuery.prototype.mod = function(divisor, remainder) {
+  return this.condition('$mod', [divisor, remainder]);
+};
+
+// an element of the field's array matches a selector or a builder
+MangoQuery.prototype.elemMatch = function(sel) {
+  return this.condition('$elemMatch', sel instanceof MangoQuery ? sel.selector() : sel);
+};
+
+// a selector object or a nested builder, as a single clause
+// e.g. .and().group(db.query().where('a').eq(1).or('b').eq(2))
+MangoQuery.prototype.group = function(sel) {
+  return this.clause(sel instanceof MangoQuery ? sel.selector() : sel);
+};
+
+MangoQuery.prototype.fields = function(fields) {
+  this.params.fields = (this.params.fields || []).concat(fields);
+  return this;
+};
+
+// e.g. .sort('name'), .sort({total: 'desc'}) or .sort([{total: 'desc'}, {date: 'desc'}])
+MangoQuery.prototype.sort = function(sort) {
+  var self = this;
+  this.params.sort = this.params.sort || [];
+  [].concat(sort).forEach(function(s) {
+    if (json.isObject(s)) {
+      Object.keys(s).forEach(function(field) {
+        var entry = {};
+        entry[field] = s[field];
+        self.params.sort.push(entry);
+      });
+    } else {
+      self.params.sort.push(s);
+    }
+  });
+  return this;
+};
+
+MangoQuery.prototype.limit = function(limit) {
+  this.params.limit = limit;
+  return this;
+};
+
+MangoQuery.prototype.skip = function(skip) {
+  this.params.skip = skip;
+  return this;
+};
+
+MangoQuery.prototype.useIndex = function(ddoc, name) {
+  this.params.use_index = name ? [ddoc, name] : ddoc;
+  return this;
+};
+
+MangoQuery.prototype.bookmark = function(bookmark) {
+  this.params.bookmark = bookmark;
+  return this;
+};
+
+MangoQuery.prototype.executionStats = function(executionStats) {
+  this.params.execution_stats = executionStats !== false;
+  return this;
+};
+
+MangoQuery.prototype.conflicts = function(conflicts) {
+  this.params.conflicts = conflicts !== false;
+  return this;
+};
+
+// the selector, where each run of clauses joined by AND is combined into a
+// single selector, and the runs are joined by $or
+MangoQuery.prototype.selector = function() {
+  var runs = [];
+  this.clauses.forEach(function(c, i) {
+    if (i === 0 || c.operator === 'or') {
+      runs.push([]);
+    }
+    runs[runs.length - 1].push(c.selector);
+  });
+  if (runs.length === 0) {
+    return {};
+  }
+  return runs.length === 1 ? combine(runs[0]) : { $or: runs.map(combine) };
+};
+
+// the body of a _find or _explain request
+MangoQuery.prototype.toJSON = function() {
+  return Object.assign({ selector: this.selector() }, json.copy(this.params));
+};
+
+// the problems with the query, as query.validate() reports them
+MangoQuery.prototype.validate = function() {
+  return validate(this.toJSON());
+};
+
+// the database the builder runs its query in
+MangoQuery.prototype.bound = function(name) {
+  if (!this.db) {
+    throw new errors.CloudantError('Only a builder created by db.query() can call ' + name + '()');
+  }
+  return this.db;
+};
+
+// a page of results, calling back with {docs, bookmark}
+MangoQuery.prototype.find = function(callback) {
+  return this.bound('find').find(this.toJSON(), callback);
+};
+
+MangoQuery.prototype.explain = function(callback) {
+  return this.bound('explain').explain(this.toJSON(), callback);
+};
+
+// every result, following the bookmarks, as a readable object stream. The
+// query's limit is the total number of results rather than the page size.
+MangoQuery.prototype.findAll = function(opts) {
+  var body = this.toJSON();
+  opts = Object.assign({}, opts);
+  if (body.limit !== undefined && opts.limit === undefined) {
+    opts.limit = body.limit;
+  }
+  delete body.limit;
+  return this.bound('findAll').findAll(body, opts);
+};
+
+// combine selectors which must all match, merging the conditions on the same
+// field where they don't overlap, otherwise with $and
+var combine = function(sels) {
+  if (sels.length === 1) {
+    return sels[0];
+  }
+  var merged = {};
+  var mergeable = sels.every(function(sel) {
+    return Object.keys(sel).every(function(key) {
+      if (!merged.hasOwnProperty(key)) {
+        merged[key] = sel[key];
+        return true;
+      }
+      var a = merged[key];
+      var b = sel[key];
+      var conditions = key.charAt(0) !== '$' && json.isObject(a) && json.isObject(b) && Object.keys(a).concat(Object.keys(b)).every(function(op) {
+        return op.charAt(0) === '$';
+      });
+      if (!conditions || Object.keys(b).some(function(op) { return a.hasOwnProperty(op); })) {
+        return false;
+      }
+      merged[key] = Object.assign({}, a, b);
+      return true;
+    });
+  });
+  return mergeable ? merged : { $and: sels };
+};
+
+// convert a query builder or a query object to the body of a request
+var params = function(q) {
+  return q instanceof MangoQuery ? q.toJSON() : q;
+};
+
+module.exports = {
+  MangoQuery: MangoQuery,
+  validate: validate,
+  match: match,
+  params: params
+};
@@ -0,0 +1,233 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// replication manages replications with _replicator documents, reporting
+// their progress from the scheduler API:
+//
+// var replication = require('./lib/replication.js')(request, { url: theurl, iamApiKey: ..., cookie: ... });
+// replication.start('animaldb', 'animaldb-backup', { continuous: true }, function(err, data) { ... });
+// replication.status(data.id, function(err, status) { ... });
+// replication.waitFor(data.id, 'completed', function(err, status) { ... });
+//
+// A source or target which is a database name is a database in the client's
+// account, authenticated in the same way as the client. URLs and endpoint
+// objects are used as they are.
+//
+// request(opts, callback) makes a request as nano.request does.
+
+var async = require('async');
+var crypto = require('crypto');
+var debug = require('./redact.js').debug('cloudant');
+var errors = require('./errors.js');
+var u = require('url');
+
+var DEFAULT_INTERVAL = 5000; // ms
+
+// the options with names which differ in the _replicator document
+var OPTION_NAMES = {
+  createTarget: 'create_target',
+  docIds: 'doc_ids',
+  queryParams: 'query_params',
+  sinceSeq: 'since_seq',
+  useCheckpoints: 'use_checkpoints',
+  checkpointInterval: 'checkpoint_interval'
+};
+
+// the states in which a replication has stopped for good
+var FINAL_STATES = ['completed', 'failed'];
+
+module.exports = function(request, account) {
+  account = account || {};
+
+  // the account's URL without its credentials, and how to authenticate
+  var parsed = u.parse(account.url);
+  var basic = null;
+  if (parsed.auth) {
+    var bits = parsed.auth.split(':');
+    basic = { username: decodeURIComponent(bits[0]), password: decodeURIComponent(bits.slice(1).join(':')) };
+  }
+  delete parsed.auth;
+  delete parsed.href;
+  var base = u.format(parsed).replace(/\/$/, '');
+
+  // the endpoint of a source or target
+  var endpoint = function(db) {
+    if (typeof db !== 'string' || /^https?:\/\//.test(db)) {
+      return db;
+    }
+    var e = { url: base + '/' + encodeURIComponent(db) };
+    if (account.iamApiKey) {
+      e.auth = { iam: { api_key: account.iamApiKey } };
+    } else if (basic) {
+      e.auth = { basic: basic };
+    } else if (account.cookie) {
+      e.headers = { Cookie: account.cookie };
+    }
+    return e;
+  };
+
+  // create a replication, calling back with the {id, rev} of its document
+  // opts.id - the id of the _replicator document, generated by default
+  // any other options e.g. continuous, createTarget, filter, selector and
+  // docIds are set in the document
+  var start = function(source, target, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    opts = opts || {};
+    if (!source || !target) {
+      return callback(new errors.CloudantError('replication.start() must be given a source and a target'));
+    }
+    var id = opts.id || crypto.randomBytes(16).toString('hex');
+    var doc = { source: endpoint(source), target: endpoint(target) };
+    Object.keys(opts).forEach(function(key) {
+      if (key !== 'id') {
+        doc[OPTION_NAMES[key] || key] = opts[key];
+      }
+    });
+    debug('starting replication %s', id);
+    return request({ path: '_replicator/' + encodeURIComponent(id), method: 'put', body: doc }, callback);
+  };
+
+  // the scheduler's view of a replication, with its job if it has one
+  var status = function(id, callback) {
+    return request({ path: '_scheduler/docs/_replicator/' + encodeURIComponent(id) }, function(err, doc) {
+      if (err) {
+        return callback(err);
+      }
+      if (!doc.id || FINAL_STATES.indexOf(doc.state) > -1) {
+        return callback(null, doc);
+      }
+      request({ path: '_scheduler/jobs/' + encodeURIComponent(doc.id) }, function(err, job) {
+        // the job may have finished in the meantime
+        if (err && err.statusCode !== 404) {
+          return callback(err);
+        }
+        doc.job = job || null;
+        callback(null, doc);
+      });
+    });
+  };
+
+  // the scheduler's view of every replication in the _replicator database,
+  // with their jobs
+  // opts.states - only list replications in these states
+  var list = function(opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    opts = opts || {};
+    var qs = {};
+    if (opts.states) {
+      qs.states = [].concat(opts.states).join(',');
+    }
+    async.parallel([
+      function(done) {
+        request({ path: '_scheduler/docs/_replicator', qs: qs }, function(err, data) {
+          done(err, data);
+        });
+      },
+      function(done) {
+        request({ path: '_scheduler/jobs' }, function(err, data) {
+          done(err, data);
+        });
+      }
+    ], function(err, data) {
+      if (err) {
+        return callback(err);
+      }
+      var jobs = {};
+      (data[1].jobs || []).forEach(function(job) {
+        if (job.database === '_replicator') {
+          jobs[job.doc_id] = job;
+        }
+      });
+      callback(null, (data[0].docs || []).map(function(doc) {
+        doc.job = jobs[doc.doc_id] || null;
+        return doc;
+      }));
+    });
+  };
+
+  // stop a replication by deleting its document
+  var cancel = function(id, callback) {
+    var path = '_replicator/' + encodeURIComponent(id);
+    return request({ path: path }, function(err, doc) {
+      if (err) {
+        return callback(err);
+      }
+      debug('cancelling replication %s', id);
+      request({ path: path, method: 'delete', qs: { rev: doc._rev } }, callback);
+    });
+  };
+
+  // poll a replication's status until it reaches a state, calling back with
+  // its status. Fails if the replication fails first.
+  // opts.interval - how often to poll, in milliseconds
+  // opts.timeout - how long to wait, in milliseconds
+  var waitFor = function(id, state, opts, callback) {
+    if (typeof state === 'function') {
+      callback = state;
+      state = 'completed';
+      opts = {};
+    } else if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    state = state || 'completed';
+    opts = opts || {};
+    var interval = opts.interval || DEFAULT_INTERVAL;
+    var deadline = opts.timeout ? Date.now() + opts.timeout : Infinity;
+
+    var poll = function() {
+      status(id, function(err, s) {
+        // the scheduler may not have seen a new document yet
+        if (err && err.statusCode !== 404) {
+          return callback(err);
+        }
+        if (s && s.state === state) {
+          return callback(null, s);
+        }
+        if (s && FINAL_STATES.indexOf(s.state) > -1) {
+          var reason = (s.info && s.info.error) || s.state;
+          return callback(new errors.CloudantError('Replication ' + id + ' ' + s.state + ': ' + reason, {
+            state: s.state,
+            info: s.info,
+            status: s
+          }));
+        }
+        if (Date.now() + interval > deadline) {
+          return callback(new errors.CloudantError('Timed out waiting for replication ' + id + ' to be ' + state, {
+            code: 'ETIMEDOUT',
+            status: s || null
+          }));
+        }
+        debug('replication %s is %s - waiting for %s', id, s ? s.state : 'unknown', state);
+        setTimeout(poll, interval);
+      });
+    };
+    poll();
+  };
+
+  return {
+    start: start,
+    status: status,
+    list: list,
+    cancel: cancel,
+    waitFor: waitFor
+  };
+};
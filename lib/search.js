@@ -0,0 +1,208 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// search builds Cloudant Search (Lucene) queries and normalizes their results
+// e.g. search.query()
+//        .match('author', 'Charles Dickens')
+//        .and().range('year', 1850, 1860)
+//        .counts(['publisher'])
+//        .drilldown('language', 'English')
+//        .includeDocs()
+
+// characters with a special meaning in the Lucene query syntax
+var SPECIAL_CHARACTERS = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+// escape a value for use as a single term in a Lucene query
+var escape = function(value) {
+  return String(value).replace(SPECIAL_CHARACTERS, '\\$&');
+};
+
+// format a value as a term, quoting it as a phrase if it has whitespace
+var term = function(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  value = String(value);
+  if (/\s/.test(value)) {
+    return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+  }
+  return escape(value);
+};
+
+// format a range bound, open bounds being null or undefined
+var bound = function(value, open) {
+  if (value === null || value === undefined) {
+    return open;
+  }
+  return typeof value === 'number' ? String(value) : term(value);
+};
+
+function SearchQuery() {
+  this.clauses = [];
+  this.operator = 'AND';
+  this.negate = false;
+  this.params = {};
+}
+
+// add a clause to the query, joined to the previous one by the current operator
+SearchQuery.prototype.clause = function(lucene) {
+  if (this.negate) {
+    lucene = 'NOT ' + lucene;
+    this.negate = false;
+  }
+  if (this.clauses.length > 0) {
+    this.clauses.push(this.operator);
+  }
+  this.clauses.push(lucene);
+  return this;
+};
+
+// field:value, matching the value as a single term or a phrase
+SearchQuery.prototype.match = function(field, value) {
+  return this.clause(escape(field) + ':' + term(value));
+};
+
+// field:"text"
+SearchQuery.prototype.phrase = function(field, text) {
+  return this.clause(escape(field) + ':"' + String(text).replace(/["\\]/g, '\\$&') + '"');
+};
+
+// field:[from TO to] or, if exclusive, field:{from TO to}
+SearchQuery.prototype.range = function(field, from, to, exclusive) {
+  var open = exclusive ? '{' : '[';
+  var close = exclusive ? '}' : ']';
+  return this.clause(escape(field) + ':' + open + bound(from, '-Infinity') +
+                     ' TO ' + bound(to, 'Infinity') + close);
+};
+
+// a nested query e.g. .group(search.query().match('a', 1).or().match('a', 2))
+SearchQuery.prototype.group = function(query) {
+  return this.clause('(' + query.toString() + ')');
+};
+
+// an unescaped Lucene expression
+SearchQuery.prototype.raw = function(lucene) {
+  return this.clause(lucene);
+};
+
+SearchQuery.prototype.and = function() {
+  this.operator = 'AND';
+  return this;
+};
+
+SearchQuery.prototype.or = function() {
+  this.operator = 'OR';
+  return this;
+};
+
+// negate the next clause
+SearchQuery.prototype.not = function() {
+  this.negate = !this.negate;
+  return this;
+};
+
+// https://console.bluemix.net/docs/services/Cloudant/api/search.html#faceting
+SearchQuery.prototype.counts = function(fields) {
+  this.params.counts = (this.params.counts || []).concat(fields);
+  return this;
+};
+
+// e.g. .ranges('price', {cheap: [0, 100], expensive: [100, null]})
+SearchQuery.prototype.ranges = function(field, ranges) {
+  var self = this;
+  this.params.ranges = this.params.ranges || {};
+  this.params.ranges[field] = {};
+  Object.keys(ranges).forEach(function(label) {
+    var r = ranges[label];
+    self.params.ranges[field][label] = Array.isArray(r)
+      ? '[' + bound(r[0], '-Infinity') + ' TO ' + bound(r[1], 'Infinity') + ']'
+      : r;
+  });
+  return this;
+};
+
+SearchQuery.prototype.drilldown = function(field, value) {
+  this.params.drilldown = (this.params.drilldown || []).concat([[field, value]]);
+  return this;
+};
+
+SearchQuery.prototype.groupField = function(field) {
+  this.params.group_field = field;
+  return this;
+};
+
+SearchQuery.prototype.includeDocs = function(includeDocs) {
+  this.params.include_docs = includeDocs !== false;
+  return this;
+};
+
+SearchQuery.prototype.sort = function(sort) {
+  this.params.sort = sort;
+  return this;
+};
+
+SearchQuery.prototype.limit = function(limit) {
+  this.params.limit = limit;
+  return this;
+};
+
+// the Lucene query string
+SearchQuery.prototype.toString = function() {
+  return this.clauses.length > 0 ? this.clauses.join(' ') : '*:*';
+};
+
+// the parameters of a search request
+SearchQuery.prototype.toJSON = function() {
+  return Object.assign({ q: this.toString() }, this.params);
+};
+
+// convert the counts and ranges of a search response to arrays of
+// {value, count} and {label, count} objects, keyed by field
+var normalizeFacets = function(body) {
+  var facets = { counts: {}, ranges: {} };
+  body = body || {};
+  Object.keys(body.counts || {}).forEach(function(field) {
+    facets.counts[field] = Object.keys(body.counts[field]).map(function(value) {
+      return { value: value, count: body.counts[field][value] };
+    });
+  });
+  Object.keys(body.ranges || {}).forEach(function(field) {
+    facets.ranges[field] = Object.keys(body.ranges[field]).map(function(label) {
+      return { label: label, count: body.ranges[field][label] };
+    });
+  });
+  return facets;
+};
+
+// convert a query builder or a parameters object to search parameters
+var params = function(query) {
+  if (query instanceof SearchQuery) {
+    return query.toJSON();
+  }
+  if (typeof query === 'string') {
+    return { q: query };
+  }
+  return Object.assign({}, query);
+};
+
+module.exports = {
+  SearchQuery: SearchQuery,
+  query: function() {
+    return new SearchQuery();
+  },
+  escape: escape,
+  normalizeFacets: normalizeFacets,
+  params: params
+};
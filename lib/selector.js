@@ -0,0 +1,278 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// selector evaluates Cloudant Query (Mango) selectors against documents as
+// the server does:
+//
+// selector.match({ type: 'order', total: { $gt: 100 } }, doc); // true or false
+//
+// A field which is missing from the document only matches {$exists: false},
+// an implicit equality compares the whole value (so {tags: 'a'} doesn't
+// match {tags: ['a']}) and values are compared with CouchDB's collation,
+// i.e. null < false < true < numbers < strings < arrays < objects.
+
+var errors = require('./errors.js');
+var json = require('./json.js');
+
+// the order of JSON types in the collation
+var TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+var typeOf = function(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+// compare two JSON values, returning a negative number, zero or a positive
+// number
+var collate = function(a, b) {
+  var ta = typeOf(a);
+  var tb = typeOf(b);
+  if (ta !== tb) {
+    return TYPE_ORDER.indexOf(ta) - TYPE_ORDER.indexOf(tb);
+  }
+  switch (ta) {
+    case 'null':
+      return 0;
+    case 'boolean':
+    case 'number':
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 'string':
+      return a.localeCompare(b);
+    case 'array':
+      for (var i = 0; i < a.length && i < b.length; i++) {
+        var c = collate(a[i], b[i]);
+        if (c !== 0) {
+          return c;
+        }
+      }
+      return a.length - b.length;
+    default:
+      // objects compare their keys and values in order
+      var ka = Object.keys(a);
+      var kb = Object.keys(b);
+      for (var j = 0; j < ka.length && j < kb.length; j++) {
+        var k = collate(ka[j], kb[j]) || collate(a[ka[j]], b[kb[j]]);
+        if (k !== 0) {
+          return k;
+        }
+      }
+      return ka.length - kb.length;
+  }
+};
+
+// split a field name into its path, where a \. is a dot in a name
+var parseField = function(field) {
+  var path = [];
+  var name = '';
+  for (var i = 0; i < field.length; i++) {
+    if (field[i] === '\\' && field[i + 1] === '.') {
+      name += '.';
+      i++;
+    } else if (field[i] === '.') {
+      path.push(name);
+      name = '';
+    } else {
+      name += field[i];
+    }
+  }
+  path.push(name);
+  return path;
+};
+
+// the value of a field in a document, or undefined if it's missing
+var getField = function(doc, field) {
+  var path = typeof field === 'string' ? parseField(field) : field;
+  var value = doc;
+  for (var i = 0; i < path.length; i++) {
+    if (Array.isArray(value) && /^\d+$/.test(path[i])) {
+      value = value[Number(path[i])];
+    } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+               Object.prototype.hasOwnProperty.call(value, path[i])) {
+      value = value[path[i]];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+};
+
+var isOperator = function(key) {
+  return key.charAt(0) === '$';
+};
+
+var equal = function(a, b) {
+  return typeOf(a) === typeOf(b) && collate(a, b) === 0;
+};
+
+// the operators which compare a field's value with an argument
+var CONDITIONS = {
+  $eq: function(value, arg) {
+    return equal(value, arg);
+  },
+  $ne: function(value, arg) {
+    return !equal(value, arg);
+  },
+  $lt: function(value, arg) {
+    return collate(value, arg) < 0;
+  },
+  $lte: function(value, arg) {
+    return collate(value, arg) <= 0;
+  },
+  $gt: function(value, arg) {
+    return collate(value, arg) > 0;
+  },
+  $gte: function(value, arg) {
+    return collate(value, arg) >= 0;
+  },
+  $in: function(value, arg) {
+    var values = Array.isArray(value) ? value : [value];
+    return arg.some(function(a) {
+      return values.some(function(v) {
+        return equal(v, a);
+      });
+    });
+  },
+  $nin: function(value, arg) {
+    return !CONDITIONS.$in(value, arg);
+  },
+  $exists: function(value, arg) {
+    return arg === true;
+  },
+  $type: function(value, arg) {
+    return typeOf(value) === arg;
+  },
+  $size: function(value, arg) {
+    return Array.isArray(value) && value.length === arg;
+  },
+  $mod: function(value, arg) {
+    return typeof value === 'number' && value % 1 === 0 && value % arg[0] === arg[1];
+  },
+  $regex: function(value, arg) {
+    return typeof value === 'string' && new RegExp(arg).test(value);
+  },
+  $beginsWith: function(value, arg) {
+    return typeof value === 'string' && value.indexOf(arg) === 0;
+  },
+  $all: function(value, arg) {
+    return Array.isArray(value) && arg.length > 0 && arg.every(function(a) {
+      return value.some(function(v) {
+        return equal(v, a);
+      });
+    });
+  },
+  $elemMatch: function(value, arg) {
+    return Array.isArray(value) && value.some(function(v) {
+      return matchValue(arg, v);
+    });
+  },
+  $allMatch: function(value, arg) {
+    return Array.isArray(value) && value.length > 0 && value.every(function(v) {
+      return matchValue(arg, v);
+    });
+  },
+  $keyMapMatch: function(value, arg) {
+    return json.isObject(value) && Object.keys(value).some(function(k) {
+      return matchValue(arg, k);
+    });
+  }
+};
+
+// the operators which combine selectors
+var COMBINATIONS = {
+  $and: function(arg, value) {
+    return arg.every(function(s) {
+      return matchValue(s, value);
+    });
+  },
+  $or: function(arg, value) {
+    return arg.length === 0 || arg.some(function(s) {
+      return matchValue(s, value);
+    });
+  },
+  $nor: function(arg, value) {
+    return !arg.some(function(s) {
+      return matchValue(s, value);
+    });
+  },
+  $not: function(arg, value) {
+    return !matchValue(arg, value);
+  }
+};
+
+// match the conditions on a field, e.g. { $gt: 1, $lt: 5 } or { b: 1 } for
+// the nested field a.b
+var matchField = function(path, cond, doc) {
+  var conds = json.isObject(cond) ? Object.keys(cond) : [];
+  if (conds.length === 0 || !conds.every(isOperator)) {
+    if (json.isObject(cond) && conds.length > 0) {
+      // a nested selector, e.g. { a: { b: 1 } } is { 'a.b': 1 }
+      return conds.every(function(key) {
+        return matchField(path.concat(parseField(key)), cond[key], doc);
+      });
+    }
+    cond = { $eq: cond };
+    conds = ['$eq'];
+  }
+  var value = getField(doc, path);
+  return conds.every(function(op) {
+    if (COMBINATIONS[op]) {
+      // e.g. { a: { $or: [{ $lt: 1 }, { $gt: 5 }] } } applies to a's value
+      return value !== undefined && COMBINATIONS[op](cond[op], value);
+    }
+    if (value === undefined) {
+      return op === '$exists' && cond[op] === false;
+    }
+    if (op === '$text') {
+      throw new errors.CloudantError('The $text operator can only be evaluated by a text index');
+    }
+    if (!CONDITIONS[op]) {
+      throw new errors.CloudantError('Invalid operator ' + op);
+    }
+    return CONDITIONS[op](value, cond[op]);
+  });
+};
+
+// match a selector against a value, which is a document at the top level
+var matchValue = function(selector, value) {
+  if (!json.isObject(selector)) {
+    return equal(value, selector);
+  }
+  return Object.keys(selector).every(function(key) {
+    if (COMBINATIONS[key]) {
+      return COMBINATIONS[key](selector[key], value);
+    }
+    if (isOperator(key)) {
+      // a condition on the value itself, e.g. inside $elemMatch
+      var cond = {};
+      cond[key] = selector[key];
+      return matchField([], cond, value);
+    }
+    return matchField(parseField(key), selector[key], value);
+  });
+};
+
+module.exports = {
+  match: function(selector, doc) {
+    return matchValue(selector || {}, doc);
+  },
+  collate: collate,
+  getField: getField,
+  parseField: parseField
+};
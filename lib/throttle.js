@@ -0,0 +1,286 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// throttle queues HTTP requests on the client so that no more than
+// `maxInFlight` are outstanding at once and each of Cloudant's provisioned
+// throughput classes stays within its rate (requests per second):
+//
+// { maxInFlight: 6,
+//   rates: { lookup: 100, write: 50, query: 5 },
+//   priority: function(req, cls) { return cls === 'write' ? 1 : 0; } }
+//
+// Queued requests are sent highest priority first, then oldest first. A class
+// without a rate isn't rate limited. The returned function(req, callback, next)
+// has a stats() function reporting the queue depth and wait times, and a
+// close(err) function which stops the timer and fails the queued requests.
+
+var debug = require('./redact.js').debug('cloudant');
+var stream = require('stream');
+var u = require('url');
+
+var CLASSES = ['lookup', 'write', 'query', 'other'];
+
+// path segments which make a request a query, rather than a lookup or write
+var QUERY_ENDPOINTS = ['_view', '_search', '_search_analyze', '_geo', '_geo_info',
+  '_find', '_explain', '_changes', '_list', '_show'];
+
+// classify a request as a lookup, write or query as Cloudant counts them, or
+// 'other' for server-level requests (e.g. _session) which aren't rate limited
+var classify = function(req) {
+  var url = req.uri || req.url;
+  var pathname = u.parse(typeof url === 'string' ? url : u.format(url)).pathname || '/';
+  var segments = pathname.split('/').filter(function(s) {
+    return s;
+  });
+  if (segments.length === 0 || segments[0].charAt(0) === '_') {
+    return 'other';
+  }
+  for (var i = 1; i < segments.length; i++) {
+    if (QUERY_ENDPOINTS.indexOf(segments[i]) > -1) {
+      return 'query';
+    }
+  }
+  var method = (req.method || 'GET').toUpperCase();
+  var last = segments[segments.length - 1];
+  if (method === 'GET' || method === 'HEAD' || last === '_all_docs' || last === '_bulk_get') {
+    return 'lookup';
+  }
+  return 'write';
+};
+
+// a token bucket allowing `rate` requests per second, in bursts of up to `rate`
+var bucket = function(rate) {
+  var tokens = rate;
+  var last = Date.now();
+  var refill = function() {
+    var now = Date.now();
+    tokens = Math.min(rate, tokens + ((now - last) * rate / 1000));
+    last = now;
+  };
+  return {
+    take: function() {
+      refill();
+      if (tokens >= 1) {
+        tokens--;
+        return true;
+      }
+      return false;
+    },
+    // milliseconds until a token will be available
+    wait: function() {
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil((1 - tokens) * 1000 / rate);
+    }
+  };
+};
+
+module.exports = function(opts) {
+  opts = (opts && typeof opts === 'object') ? opts : {};
+  var maxInFlight = opts.maxInFlight || Infinity;
+  var priority = typeof opts.priority === 'function' ? opts.priority : function() {
+    return 0;
+  };
+
+  var buckets = {};
+  var counts = {};
+  CLASSES.forEach(function(cls) {
+    if (opts.rates && opts.rates[cls]) {
+      buckets[cls] = bucket(opts.rates[cls]);
+    }
+    counts[cls] = { queued: 0, inFlight: 0, sent: 0 };
+  });
+
+  var queue = [];
+  var inFlight = 0;
+  var timer = null;
+  var waits = { count: 0, total: 0, max: 0 };
+
+  var allowed = function(cls) {
+    return !buckets[cls] || buckets[cls].take();
+  };
+
+  // send the request, keeping count of it until it completes
+  var send = function(item) {
+    var done = false;
+    var complete = function() {
+      if (!done) {
+        done = true;
+        inFlight--;
+        counts[item.cls].inFlight--;
+        // let the next request go
+        setImmediate(drain);
+      }
+    };
+    inFlight++;
+    counts[item.cls].inFlight++;
+    counts[item.cls].sent++;
+
+    var callback = item.callback;
+    var r = item.next(item.req, typeof callback === 'function' ? function() {
+      complete();
+      callback.apply(this, arguments);
+    } : undefined);
+    if (r && typeof r.on === 'function') {
+      r.on('complete', complete).on('abort', complete).on('error', complete).on('end', complete);
+    } else if (typeof callback !== 'function') {
+      complete();
+    }
+    return r;
+  };
+
+  // send as many queued requests as the limits allow
+  var drain = function() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    var delay = Infinity;
+    for (var i = 0; i < queue.length;) {
+      if (inFlight >= maxInFlight) {
+        break;
+      }
+      var item = queue[i];
+      if (item.uploading || !allowed(item.cls)) {
+        if (!item.uploading) {
+          delay = Math.min(delay, buckets[item.cls].wait());
+        }
+        i++;
+        continue;
+      }
+      queue.splice(i, 1);
+      counts[item.cls].queued--;
+      var waited = Date.now() - item.queuedAt;
+      waits.count++;
+      waits.total += waited;
+      waits.max = Math.max(waits.max, waited);
+      debug('sending queued %s request after %dms', item.cls, waited);
+      item.forward(send(item));
+    }
+    if (queue.length > 0 && inFlight < maxInFlight && delay < Infinity) {
+      timer = setTimeout(drain, Math.max(delay, 1));
+    }
+  };
+
+  var throttle = function(req, callback, next) {
+    var cls = classify(req);
+    var item = {
+      req: req,
+      callback: callback,
+      next: next,
+      cls: cls,
+      priority: priority(req, cls) || 0,
+      queuedAt: Date.now(),
+      uploading: false
+    };
+
+    // send the request straight away if nothing is waiting and we're within
+    // the limits
+    if (queue.length === 0 && inFlight < maxInFlight && allowed(cls)) {
+      waits.count++;
+      return send(item);
+    }
+
+    debug('queueing %s request, %d queued and %d in flight', cls, queue.length, inFlight);
+
+    // return a pass-through stream which forwards the events of the request
+    // once it's sent
+    var s = new stream.PassThrough();
+    s.on('error', function(err) {
+      debug(err);
+    });
+    item.fail = function(err) {
+      if (typeof callback === 'function') {
+        callback(err);
+      } else {
+        s.emit('error', err);
+      }
+    };
+    item.forward = function(r) {
+      if (!r || typeof r.on !== 'function') {
+        return s.end();
+      }
+      r.on('response', function(response) {
+        s.emit('response', response);
+      }).on('data', function(chunk) {
+        s.write(chunk);
+      }).on('error', function(err) {
+        s.emit('error', err);
+      }).on('end', function() {
+        s.end();
+      });
+    };
+
+    // a body piped into the stream is buffered until the request is sent
+    s.on('pipe', function(src) {
+      item.uploading = true;
+      src.unpipe(s);
+      var chunks = [];
+      src.on('data', function(chunk) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }).on('end', function() {
+        req.body = Buffer.concat(chunks);
+        item.uploading = false;
+        drain();
+      }).on('error', function(err) {
+        s.emit('error', err);
+      });
+    });
+
+    // insert the request after those of the same or higher priority
+    var i = queue.length;
+    while (i > 0 && queue[i - 1].priority < item.priority) {
+      i--;
+    }
+    queue.splice(i, 0, item);
+    counts[cls].queued++;
+    if (!timer) {
+      timer = setTimeout(drain, 0);
+    }
+    return s;
+  };
+
+  throttle.stats = function() {
+    var classes = {};
+    CLASSES.forEach(function(cls) {
+      classes[cls] = Object.assign({}, counts[cls]);
+    });
+    return {
+      inFlight: inFlight,
+      queued: queue.length,
+      classes: classes,
+      waitTime: {
+        count: waits.count,
+        average: waits.count ? Math.round(waits.total / waits.count) : 0,
+        max: waits.max
+      }
+    };
+  };
+
+  // stop sending requests, failing those still queued with err
+  throttle.close = function(err) {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    queue.splice(0).forEach(function(item) {
+      counts[item.cls].queued--;
+      item.fail(err);
+    });
+  };
+
+  return throttle;
+};
+
+module.exports.classify = classify;
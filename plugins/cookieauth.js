@@ -16,28 +16,91 @@
 // this the the 'cookieauth' request handler.
 // Instead of passing the authentication credentials using HTTP Basic Auth with every request
 // we exchange the credentials for a cookie which we remember and pass back with each
-// subsequent request.
-var async = require('async');
-var debug = require('debug')('cloudant');
+// subsequent request. If the session expires (Cloudant replies 401 or 403) we log in again
+// once and replay the request.
+var debug = require('../lib/redact.js').debug('cloudant');
 var stream = require('stream');
 var u = require('url');
 var nullcallback = function() {};
 
+// requests which may have a body streamed into them
+var UPLOAD_METHODS = ['PUT', 'POST'];
+
+// the status codes Cloudant replies with when a session cookie has expired
+var SESSION_EXPIRED = [401, 403];
+
 module.exports = function(options) {
   var requestDefaults = options.requestDefaults || {};
   var request = require('request').defaults(requestDefaults);
   var jar = request.jar();
   var cookieRefresh = null;
 
+  // callbacks waiting on a POST /_session which is already in flight
+  var waiting = null;
+
+  // refresh the cookie every hour
+  var startRefresh = function(stuburl, next) {
+    if (cookieRefresh) {
+      return;
+    }
+    debug('setting up recurring cookie refresh request');
+    cookieRefresh = setInterval(function() {
+      debug('refreshing cookie');
+      next({method: 'get', url: stuburl + '/_session', jar: jar}, nullcallback);
+    }, 1000 * 60 * 60);
+    // prevent setInterval from requiring the event loop to be active
+    cookieRefresh.unref();
+  };
+
+  // call POST /_session to get a cookie, sharing a single request between
+  // concurrent callers. Calls back with whether authentication succeeded and
+  // the [err, response, body] of the POST /_session request.
+  var login = function(stuburl, credentials, next, callback) {
+    if (waiting) {
+      debug('waiting for in-flight POST /_session');
+      waiting.push(callback);
+      return;
+    }
+    waiting = [callback];
+
+    debug('need to authenticate - calling POST /_session');
+    var r = {
+      url: stuburl + '/_session',
+      method: 'post',
+      form: {
+        name: credentials.username,
+        password: credentials.password
+      },
+      jar: jar
+    };
+    next(r, function(e, h, b) {
+      var statusCode = (h && h.statusCode) || 500;
+      var ok = !e && statusCode >= 200 && statusCode < 400;
+      if (ok) {
+        debug('authentication successful');
+        startRefresh(stuburl, next);
+      } else {
+        debug('authentication failed');
+      }
+      var callbacks = waiting;
+      waiting = null;
+      callbacks.forEach(function(cb) {
+        cb(ok, [e, h, b]);
+      });
+    });
+  };
+
   // make a request using cookie authentication
   // 1) if we have a cookie or have no credentials, just try the request
-  // 2) otherwise, get session cookie
-  // 3) then try the request
-  var cookieRequest = function(req, callback) {
+  // 2) otherwise, get session cookie and then try the request
+  // 3) if the session has expired, get a new cookie and try the request again
+  var cookieRequest = function(req, callback, next) {
     // deal with absence of callback
-    if (typeof callback !== 'function') {
+    var hasCallback = (typeof callback === 'function');
+    if (!hasCallback) {
       callback = nullcallback;
     }
+    next = next || request;
 
     // parse the url to extract credentials and calculate
     // stuburl - the cloudant url without credentials or auth
@@ -65,115 +128,167 @@ module.exports = function(options) {
 
     // to maintain streaming compatiblity, always return a PassThrough stream
     var s = new stream.PassThrough();
+    var ended = false;
 
-    // run these three things in series
-    async.series([
-
-      // call the request being asked for
-      function(done) {
-        // do we have cookie for this domain name?
-        var cookies = jar.getCookies(stuburl);
-        var statusCode = 500;
-
-        // if we have a cookie for this domain, then we can try the required API call straight away
-        if (!auth || cookies.length > 0) {
-          debug('we have cookies (or no credentials) so attempting API call straight away');
-          req.jar = jar;
-          request(req, function(e, h, b) {
-            // if we have no credentials or we suceeded
-            if (!auth || (statusCode >= 200 && statusCode < 400)) {
-              // returning an err of true stops the async sequence
-              // we're good because we didn't get a 4** or 5**
-              done(true, [e, h, b]);
-            } else {
-              // continue with the async chain
-              done(null, [e, h, b]);
-            }
-          }).on('response', function(r) {
-            statusCode = (r && r.statusCode) || 500;
-          }).on('data', function(chunk) {
-            // only write to the output stream on success
-            if (statusCode < 400) {
-              s.write(chunk);
-            }
-          });
-        } else {
-          debug('we have no cookies - need to authenticate first');
-          // we have no cookies so we need to authenticate first
-          // i.e. do nothing here
-          done(null, null);
+    // add error listener
+    s.on('error', function(err) {
+      debug(err);
+    });
+
+    // a body piped into the returned stream is buffered so the request can
+    // be replayed with it
+    var uploading = false;
+    var uploaded = null;
+    s.on('pipe', function(src) {
+      uploading = true;
+      src.unpipe(s);
+      var chunks = [];
+      src.on('data', function(chunk) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }).on('end', function() {
+        req.body = Buffer.concat(chunks);
+        uploading = false;
+        if (uploaded) {
+          uploaded();
         }
-      },
+      }).on('error', function(err) {
+        s.emit('error', err);
+      });
+    });
 
-      // call POST /_session to get a cookie
-      function(done) {
-        debug('need to authenticate - calling POST /_session');
-        var r = {
-          url: stuburl + '/_session',
-          method: 'post',
-          form: {
-            name: credentials.username,
-            password: credentials.password
-          },
-          jar: jar
-        };
-        request(r, function(e, h, b) {
-          var statusCode = (h && h.statusCode) || 500;
-          // if we sucessfully authenticate
-          if (statusCode >= 200 && statusCode < 400) {
-            // continue to the next stage of the async chain
-            debug('authentication successful');
-
-            // if we don't already have a timer set to refresh the cookie every hour,
-            // set one up
-            if (!cookieRefresh) {
-              debug('setting up recurring cookie refresh request');
-              cookieRefresh = setInterval(function() {
-                debug('refreshing cookie');
-                request({method: 'get', url: stuburl + '/_session', jar: jar});
-              }, 1000 * 60 * 60);
-              // prevent setInterval from requiring the event loop to be active
-              cookieRefresh.unref();
-            }
-
-            done(null, [e, h, b]);
+    var finish = function(reply, streaming) {
+      // unless the final response is being streamed, the pass-through
+      // stream is finished now
+      if (!streaming && !ended) {
+        ended = true;
+        s.end();
+      }
+      // error, headers, body
+      callback(reply[0], reply[1], reply[2]);
+    };
+
+    // forward the events of a request to the pass-through stream for as long
+    // as isFinal() says it is the request whose response the caller will get
+    var forward = function(r, isFinal) {
+      if (!r || typeof r.on !== 'function') {
+        return false;
+      }
+      r.on('response', function(response) {
+        if (isFinal()) {
+          s.emit('response', response);
+        }
+      }).on('data', function(chunk) {
+        if (isFinal()) {
+          s.write(chunk);
+        }
+      }).on('error', function(err) {
+        if (isFinal()) {
+          s.emit('error', err);
+        }
+      }).on('end', function() {
+        if (isFinal() && !ended) {
+          ended = true;
+          s.end();
+        }
+      });
+      return true;
+    };
+
+    // the login failed so reply with the POST /_session response
+    var loginFailed = function(reply) {
+      if (reply[1]) {
+        s.emit('response', reply[1]);
+      }
+      finish(reply, false);
+    };
+
+    // call the request being asked for, logging in again if the session has
+    // expired unless this is already a retry
+    var attempt = function(retry) {
+      debug(auth ? 'attempting API call with cookie' : 'attempting API call');
+      req.jar = jar;
+      var cookie = jar.getCookieString(stuburl);
+      var statusCode = null;
+      var isStream = false;
+      var expired = function() {
+        return !!auth && !retry && SESSION_EXPIRED.indexOf(statusCode) > -1;
+      };
+
+      var r = next(req, function(e, h, b) {
+        statusCode = (h && h.statusCode) || (e ? null : 500);
+        if (e || !expired()) {
+          return finish([e, h, b], isStream);
+        }
+
+        // someone else has already logged in again since we made the request
+        if (jar.getCookieString(stuburl) !== cookie) {
+          debug('session renewed by another request - retrying');
+          return attempt(true);
+        }
+        debug('session rejected with status %d - authenticating again', statusCode);
+        login(stuburl, credentials, next, function(ok, reply) {
+          if (ok) {
+            attempt(true);
           } else {
-            // failed to authenticate - no point proceeding any further
-            debug('authentication failed');
-            done(true, [e, h, b]);
+            loginFailed(reply);
           }
         });
-      },
-
-      // call the request being asked for with cookie authentication
-      function(done) {
-        debug('attempting API call with cookie');
-        var statusCode = 500;
-        req.jar = jar;
-        request(req, function(e, h, b) {
-          done(null, [e, h, b]);
-        }).on('response', function(r) {
-          statusCode = (r && r.statusCode) || 500;
-        }).on('data', function(chunk) {
-          if (statusCode < 400) {
-            s.write(chunk);
-          }
+      });
+      if (r && typeof r.on === 'function') {
+        r.on('response', function(response) {
+          statusCode = (response && response.statusCode) || 500;
         });
       }
-    ], function(err, data) {
-        // callback with the last call we made
-      if (data && data.length > 0) {
-        var reply = data[data.length - 1];
-          // error, headers, body
-        callback(reply[0], reply[1], reply[2]);
-      } else {
-        callback(err, { statusCode: 500 }, null);
+      isStream = forward(r, function() {
+        return !expired();
+      });
+    };
+
+    var start = function() {
+      // if we have a cookie for this domain (or no credentials), then we can
+      // try the required API call straight away
+      if (!auth || jar.getCookies(stuburl).length > 0) {
+        debug('we have cookies (or no credentials) so attempting API call straight away');
+        return attempt(false);
       }
-    });
+      debug('we have no cookies - need to authenticate first');
+      login(stuburl, credentials, next, function(ok, reply) {
+        if (ok) {
+          attempt(true);
+        } else {
+          loginFailed(reply);
+        }
+      });
+    };
+
+    // a request made without a callback or a body may have its body piped in
+    var method = (req.method || 'GET').toUpperCase();
+    if (!hasCallback && !req.body && UPLOAD_METHODS.indexOf(method) > -1) {
+      setImmediate(function() {
+        if (uploading) {
+          debug('waiting for the request body to be streamed');
+          uploaded = start;
+        } else {
+          start();
+        }
+      });
+    } else {
+      start();
+    }
 
     // return the pass-through stream
     return s;
   };
 
+  // forget the session cookie and stop refreshing it
+  cookieRequest.logout = function() {
+    debug('logging out');
+    if (cookieRefresh) {
+      clearInterval(cookieRefresh);
+      cookieRefresh = null;
+    }
+    jar = request.jar();
+  };
+
   return cookieRequest;
 };
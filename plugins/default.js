@@ -17,8 +17,12 @@
 // It is simply an instance of the popular 'request' npm module.
 // This is the simplest module to use as it supports JavaScript callbacks
 // and can be used for with the Node.js streaming API.
+// In a plugin pipeline it passes each request straight through to the next handler.
 
 module.exports = function(options) {
   var requestDefaults = options.requestDefaults || {jar: false};
-  return require('request').defaults(requestDefaults);
+  var request = require('request').defaults(requestDefaults);
+  return function(req, callback, next) {
+    return (next || request)(req, callback);
+  };
 };
@@ -0,0 +1,188 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// this the the 'iam' request handler.
+// Instead of passing the authentication credentials using HTTP Basic Auth with every request
+// we exchange an IBM Cloud Identity and Access Management (IAM) API key for a bearer token
+// which we remember and pass back in the Authorization header of each subsequent request.
+// The token is refreshed shortly before it expires and once more if Cloudant replies 401.
+var debug = require('../lib/redact.js').debug('cloudant');
+var errors = require('../lib/errors.js');
+var stream = require('stream');
+var u = require('url');
+var nullcallback = function() {};
+
+var DEFAULT_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token';
+
+module.exports = function(options) {
+  var requestDefaults = options.requestDefaults || {jar: false};
+  var request = require('request').defaults(requestDefaults);
+
+  if (!options.iamApiKey) {
+    throw new Error('The "iam" plugin requires an "iamApiKey" option');
+  }
+
+  var tokenUrl = options.iamTokenUrl || DEFAULT_TOKEN_URL;
+  var token = null;
+  var tokenRefreshAt = 0;
+
+  // callbacks waiting on a token request which is already in flight
+  var waiting = null;
+
+  // exchange the API key for an access token
+  var fetchToken = function(callback) {
+    if (waiting) {
+      debug('waiting for in-flight IAM token request');
+      waiting.push(callback);
+      return;
+    }
+    waiting = [callback];
+
+    debug('requesting IAM token from %s', tokenUrl);
+    var r = {
+      url: tokenUrl,
+      method: 'post',
+      auth: {
+        username: options.iamClientId || 'bx',
+        password: options.iamClientSecret || 'bx'
+      },
+      headers: { accept: 'application/json' },
+      form: {
+        grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
+        response_type: 'cloud_iam',
+        apikey: options.iamApiKey
+      },
+      jar: false
+    };
+    request(r, function(e, h, b) {
+      var statusCode = (h && h.statusCode) || 500;
+      var err = errors.wrap(e) || null;
+      if (!err) {
+        try { b = JSON.parse(b); } catch (e) { }
+        if (statusCode >= 200 && statusCode < 400 && b && b.access_token) {
+          debug('IAM token request successful');
+          token = b.access_token;
+          // refresh once 80% of the token's lifetime has elapsed
+          var expiresIn = parseInt(b.expires_in, 10);
+          if (isNaN(expiresIn)) {
+            expiresIn = 3600;
+          }
+          tokenRefreshAt = Date.now() + (expiresIn * 800);
+        } else {
+          debug('IAM token request failed with status %d', statusCode);
+          err = errors.fromResponse(r, h, b,
+            'Failed to get IAM token: ' + ((b && (b.errorMessage || b.reason)) || statusCode));
+        }
+      }
+      var callbacks = waiting;
+      waiting = null;
+      callbacks.forEach(function(cb) {
+        cb(err, token);
+      });
+    });
+  };
+
+  var getToken = function(callback) {
+    if (token && Date.now() < tokenRefreshAt) {
+      return callback(null, token);
+    }
+    fetchToken(callback);
+  };
+
+  var iamRequest = function(req, callback, next) {
+    // deal with absence of callback
+    var hasCallback = (typeof callback === 'function');
+    if (!hasCallback) {
+      callback = nullcallback;
+    }
+    next = next || request;
+
+    // strip any credentials from the URL - we're sending a token instead
+    var parsed = u.parse(req.uri || req.url);
+    delete parsed.auth;
+    delete parsed.href;
+    req.url = u.format(parsed);
+    delete req.uri;
+
+    // to maintain streaming compatiblity, always return a PassThrough stream
+    var s = new stream.PassThrough();
+
+    // add error listener
+    s.on('error', function(err) {
+      debug(err);
+    });
+
+    var attempt = function(retried) {
+      getToken(function(err, t) {
+        if (err) {
+          s.emit('error', err);
+          s.end();
+          return callback(err, { statusCode: err.statusCode || 500 }, null);
+        }
+
+        req.headers = req.headers || {};
+        req.headers.authorization = 'Bearer ' + t;
+
+        var statusCode = 500;
+        var response = null;
+
+        // called once the attempt is complete, either by the callback or -
+        // when streaming without a callback - by the end of the response
+        var finish = function(e, h, b) {
+          if (h && h.statusCode === 401 && !retried) {
+            // the token may have been revoked or expired early, get a new one
+            debug('received 401 - refreshing IAM token and retrying');
+            token = null;
+            return attempt(true);
+          }
+          callback(e, h, b);
+        };
+
+        var r = next(req, hasCallback ? finish : undefined);
+
+        // forward the final response to the pass-through stream
+        if (r && typeof r.on === 'function') {
+          r.on('error', function(e) {
+            s.emit('error', e);
+            s.end();
+          }).on('response', function(r) {
+            response = r;
+            statusCode = (r && r.statusCode) || 500;
+            if (statusCode !== 401 || retried) {
+              s.emit('response', r);
+            }
+          }).on('data', function(chunk) {
+            if (statusCode !== 401 || retried) {
+              s.write(chunk);
+            }
+          }).on('end', function() {
+            if (statusCode !== 401 || retried) {
+              s.end();
+            }
+            if (!hasCallback) {
+              finish(null, response);
+            }
+          });
+        }
+      });
+    };
+    attempt(false);
+
+    // return the pass-through stream
+    return s;
+  };
+
+  return iamRequest;
+};
@@ -17,17 +17,20 @@
 // It is a function that returns a Promise and resolves the promise on success
 // or rejects the Promise on failure
 
+var errors = require('../lib/errors.js');
+
 var nullcallback = function() {};
 
 module.exports = function(options) {
   var requestDefaults = options.requestDefaults || {jar: false};
   var request = require('request').defaults(requestDefaults);
-  var myrequest = function(req, callback) {
+  var myrequest = function(req, callback, next) {
     if (typeof callback !== 'function') {
       callback = nullcallback;
     }
+    next = next || request;
     return new Promise(function(resolve, reject) {
-      request(req, function(err, h, b) {
+      next(req, function(err, h, b) {
         var statusCode = (h && h.statusCode) || 500;
         if (b) {
           try { b = JSON.parse(b); } catch (err) { }
@@ -36,10 +39,7 @@ module.exports = function(options) {
           callback(null, h, b);
           return resolve(b);
         }
-        if (b) {
-          b.statusCode = statusCode;
-        }
-        reject(err || b);
+        reject(err ? errors.wrap(err) : errors.fromResponse(req, h, b));
         callback(err, h, b);
       });
     });
@@ -0,0 +1,105 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// this is the 'record' request handler.
+// It writes every request the client makes and the response it gets to the
+// `cassette` file, with credentials redacted, for the 'replay' plugin to
+// serve back later. The interactions are kept in memory and the cassette is
+// written afresh by save(), which client.close() calls, or when the process
+// exits. It should be the first plugin so it records the HTTP requests
+// themselves e.g. plugin: ['record', 'retry'].
+var cassette = require('../lib/cassette.js');
+var debug = require('../lib/redact.js').debug('cloudant');
+
+// the save() functions of the recorders which haven't been closed, all saved
+// by a single 'exit' listener however many clients there are
+var open = [];
+var saveAll = function() {
+  open.forEach(function(save) {
+    save();
+  });
+};
+
+module.exports = function(options) {
+  var requestDefaults = options.requestDefaults || {jar: false};
+  var request = require('request').defaults(requestDefaults);
+
+  if (!options.cassette) {
+    throw new Error('The "record" plugin must be given a cassette file');
+  }
+  var interactions = [];
+  var unsaved = false;
+
+  var record = function(req, e, h, b) {
+    interactions.push({ request: cassette.request(req), response: cassette.response(e, h, b) });
+    debug('recording %s %s', req.method || 'GET', req.uri || req.url);
+    unsaved = true;
+  };
+
+  // write the interactions recorded so far to the cassette
+  var save = function() {
+    if (unsaved) {
+      debug('writing %d interactions to %s', interactions.length, options.cassette);
+      cassette.write(options.cassette, interactions);
+      unsaved = false;
+    }
+  };
+  if (open.length === 0) {
+    process.on('exit', saveAll);
+  }
+  open.push(save);
+
+  var myrequest = function(req, callback, next) {
+    next = next || request;
+
+    if (typeof callback === 'function') {
+      return next(req, function(e, h, b) {
+        record(req, e, h, b);
+        callback(e, h, b);
+      });
+    }
+
+    // streaming - record the response as it goes by
+    var r = next(req);
+    var response = null;
+    var chunks = [];
+    r.on('response', function(h) {
+      response = h;
+    }).on('data', function(chunk) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }).on('end', function() {
+      record(req, null, response || { statusCode: 500 }, Buffer.concat(chunks));
+    }).on('error', function(err) {
+      record(req, err);
+    });
+    return r;
+  };
+
+  myrequest.save = save;
+
+  // save the cassette when the client is closed
+  myrequest.close = function() {
+    save();
+    var i = open.indexOf(save);
+    if (i !== -1) {
+      open.splice(i, 1);
+      if (open.length === 0) {
+        process.removeListener('exit', saveAll);
+      }
+    }
+  };
+
+  return myrequest;
+};
@@ -0,0 +1,95 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// this is the 'replay' request handler.
+// It serves the responses recorded by the 'record' plugin in the `cassette`
+// file instead of making HTTP requests. Each request gets the first unused
+// response recorded for the same method, path, query and body, so repeated
+// requests get their responses in the order they were recorded. A request
+// with no recorded response fails with a CloudantError with the code
+// 'ERR_NO_RECORDING'.
+var cassette = require('../lib/cassette.js');
+var debug = require('../lib/redact.js').debug('cloudant');
+var errors = require('../lib/errors.js');
+var stream = require('stream');
+
+var nullcallback = function() {};
+
+module.exports = function(options) {
+  if (!options.cassette) {
+    throw new Error('The "replay" plugin must be given a cassette file');
+  }
+  var interactions = cassette.read(options.cassette).map(function(interaction) {
+    return { key: cassette.key(interaction.request), response: interaction.response, used: false };
+  });
+
+  // the first unused response recorded for a request
+  var find = function(req) {
+    var key = cassette.key(cassette.request(req));
+    for (var i = 0; i < interactions.length; i++) {
+      if (!interactions[i].used && interactions[i].key === key) {
+        interactions[i].used = true;
+        return interactions[i].response;
+      }
+    }
+    return null;
+  };
+
+  var myrequest = function(req, callback) {
+    var hasCallback = (typeof callback === 'function');
+    if (!hasCallback) {
+      callback = nullcallback;
+    }
+    var s = new stream.PassThrough();
+    var method = (req.method || 'GET').toUpperCase();
+    var recorded = find(req);
+
+    setImmediate(function() {
+      var err = null;
+      if (!recorded) {
+        var path = cassette.request(req).path;
+        err = new errors.CloudantError('No recorded response for ' + method + ' ' + path, {
+          code: 'ERR_NO_RECORDING',
+          method: method,
+          path: path
+        });
+      } else if (recorded.error) {
+        err = new errors.CloudantError(recorded.error.message, { code: recorded.error.code });
+      }
+      if (err) {
+        debug(err.message);
+        if (!hasCallback) {
+          s.emit('error', err);
+        }
+        return callback(err);
+      }
+
+      var b = recorded.body === null ? '' : (typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body));
+      var response = {
+        statusCode: recorded.statusCode,
+        headers: Object.assign({}, recorded.headers),
+        body: b
+      };
+      debug('replaying %s %s', method, req.uri || req.url);
+      s.emit('response', response);
+      s.end(b);
+      callback(null, response, b);
+    });
+
+    return s;
+  };
+
+  return myrequest;
+};
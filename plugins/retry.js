@@ -17,20 +17,108 @@
 // If CouchDB/Cloudant responds with a 429 HTTP code
 // the library will retry the request up to three
 // times with exponential backoff.
-var async = require('async');
-var debug = require('debug')('cloudant');
+// The retry policy can be configured to also retry other status codes
+// (e.g. 502, 503 and 504) and transient network errors, to add jitter to
+// and cap the backoff, and to give up after a total time budget.
+var debug = require('../lib/redact.js').debug('cloudant');
 var stream = require('stream');
 
+// transient network errors retried when `retryErrors` is true
+var TRANSIENT_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'EPIPE'];
+
+// methods which are safe to repeat
+var IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// parse a Retry-After header, either a number of seconds or an HTTP date,
+// into a number of milliseconds
+var parseRetryAfter = function(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  var date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+};
+
 module.exports = function(options) {
   var requestDefaults = options.requestDefaults || {jar: false};
   var request = require('request').defaults(requestDefaults);
 
-  var myrequest = function(req, callback) {
+  var maxAttempts = options.retryAttempts || 3;
+  var firstTimeout = options.retryTimeout || 500; // ms
+  var maxTimeout = options.retryMaxTimeout || Infinity; // ms
+  var totalTimeout = options.retryTotalTimeout || Infinity; // ms
+  var jitter = options.retryJitter || 'none';
+  var statusCodes = options.retryStatusCodes || [429];
+  var errorCodes = options.retryErrors === true ? TRANSIENT_ERRORS : (options.retryErrors || []);
+
+  if (['none', 'full', 'decorrelated'].indexOf(jitter) === -1) {
+    throw new Error('Invalid retryJitter "' + jitter + '" - expected "none", "full" or "decorrelated"');
+  }
+
+  var myrequest = function(req, callback, next) {
     var attempts = 0;
-    var maxAttempts = options.retryAttempts || 3;
-    var firstTimeout = options.retryTimeout || 500; // ms
+    var started = Date.now();
     var timeout = 0; // ms
-    var retry;
+
+    var hasCallback = (typeof callback === 'function');
+    next = next || request;
+
+    // 429 responses are always safe to retry as Cloudant rejected the request
+    // without processing it, otherwise non-idempotent requests are only
+    // retried when the caller opts in
+    var method = (req.method || 'GET').toUpperCase();
+    var idempotent = options.retryNonIdempotent || IDEMPOTENT_METHODS.indexOf(method) > -1;
+
+    // calculate the delay before the next attempt
+    var backoff = function() {
+      var exponential = Math.min(maxTimeout, firstTimeout * Math.pow(2, attempts - 1));
+      switch (jitter) {
+        case 'full':
+          return Math.floor(Math.random() * exponential);
+        case 'decorrelated':
+          var previous = timeout || firstTimeout;
+          return Math.min(maxTimeout, Math.floor(firstTimeout + Math.random() * (previous * 3 - firstTimeout)));
+        default:
+          return exponential;
+      }
+    };
+
+    // decide whether an attempt which failed with an error or a response
+    // should be retried, returning the delay before the next attempt or null
+    var retryDelay = function(err, response) {
+      if (attempts >= maxAttempts) {
+        return null;
+      }
+      var retryable;
+      if (err) {
+        retryable = idempotent && errorCodes.indexOf(err.code) > -1;
+      } else if (response) {
+        var statusCode = response.statusCode;
+        retryable = statusCodes.indexOf(statusCode) > -1 && (statusCode === 429 || idempotent);
+      }
+      if (!retryable) {
+        return null;
+      }
+      var elapsed = Date.now() - started;
+      var delay = parseRetryAfter(response && response.headers && response.headers['retry-after']);
+      if (delay !== null) {
+        // the server's delay is kept within the cap and the time budget left
+        delay = Math.min(delay, maxTimeout, totalTimeout - elapsed);
+      } else {
+        delay = backoff();
+      }
+      if (delay < 0 || elapsed + delay > totalTimeout) {
+        debug('retry budget of %dms exhausted', totalTimeout);
+        return null;
+      }
+      return delay;
+    };
 
     // create a pass-through stream in case the caller wishes
     // to pipe data using Node.js streams
@@ -41,53 +129,76 @@ module.exports = function(options) {
       debug(err);
     });
 
-    // do the first function until the second function returns false
-    async.doWhilst(function(done) {
+    var attempt = function() {
       attempts++;
-      retry = false;
+      debug('attempt', attempts, 'timeout', timeout);
 
-      if (attempts >= 1) {
-        debug('attempt', attempts, 'timeout', timeout);
-      }
+      var response = null;
+      var decided = false;
+      var delay = null;
+      var finished = false;
+
+      // the retry decision is made once per attempt by whichever of the
+      // response, error or callback comes first
+      var decide = function(err, r) {
+        if (!decided) {
+          decided = true;
+          delay = retryDelay(err, r);
+        }
+        return delay;
+      };
+
+      // called once the attempt is complete, either by the callback or -
+      // when streaming without a callback - by the end of the response
+      var finish = function(e, h, b) {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        if (decide(e, h) !== null) {
+          timeout = delay;
+          setTimeout(attempt, delay);
+        } else if (hasCallback) {
+          callback(e, h, b);
+        }
+      };
+
+      var thisRequest = next(req, hasCallback ? finish : undefined);
 
-      setTimeout(function() {
-        var thisRequest = request(req, callback);
+      // forward the final attempt to the pass-through stream
+      if (thisRequest && typeof thisRequest.on === 'function') {
         thisRequest
           .on('error', function(err) {
-            s.emit('error', err);
-            s.end();
-            done();
+            if (decide(err) === null) {
+              s.emit('error', err);
+              s.end();
+            }
+            finish(err);
           })
           .on('response', function(r) {
-            if (r.statusCode === 429 && attempts < maxAttempts) {
-              retry = true;
-              thisRequest.abort();
-            } else {
+            response = r;
+            if (decide(null, r) === null) {
               s.emit('response', r);
             }
           })
           .on('data', function(chunk) {
-            if (!retry) {
+            if (delay === null) {
               s.write(chunk);
             }
           })
           .on('end', function() {
-            if (!retry) {
+            if (delay === null) {
               s.end();
             }
-            done();
+            if (!hasCallback) {
+              finish(null, response);
+            }
           });
-      }, timeout);
-    }, function() {
-      if (retry) {
-        if (attempts === 1) {
-          timeout = firstTimeout;
-        } else {
-          timeout *= 2;
-        }
+      } else if (!hasCallback) {
+        finish(null, null);
       }
-      return retry;
-    });
+    };
+    attempt();
 
     // return the pass-through stream
     return s;
@@ -114,6 +114,134 @@ describe('Initialization', function() {
   });
 });
 
+describe('Promises', function() {
+  it('supports asynchronous initialization with a Promise', function() {
+    var mocks = nock(SERVER)
+      .post('/_session').reply(200, {ok: true, userCtx: {name: ME, roles: []}})
+      .get('/_session').reply(200, {ok: true, userCtx: {name: ME, roles: []}})
+      .get('/').reply(200, {couchdb: 'Welcome', version: '1.0.2'});
+
+    return Cloudant.connect({account: ME, password: PASSWORD}).then(function(result) {
+      result.should.have.a.property('client');
+      result.client.should.have.property('use');
+      result.should.have.a.property('pong');
+      result.pong.should.have.a.property('couchdb');
+      result.pong.userCtx.name.should.equal(ME);
+      mocks.done();
+    });
+  });
+
+  it('rejects asynchronous initialization with an invalid URL', function() {
+    return Cloudant.connect({url: 'invalid'}).then(function() {
+      throw new Error('Unexpected success');
+    }, function(err) {
+      err.should.be.an.instanceOf(Error);
+      err.message.should.equal('invalid url');
+    });
+  });
+
+  it('returns a Promise from ping without a callback', function() {
+    var mocks = nock(SERVER)
+      .get('/_session').reply(200, {ok: true, userCtx: {name: null, roles: []}})
+      .get('/').reply(200, {couchdb: 'Welcome', version: '1.0.2'});
+
+    var c = Cloudant({account: ME});
+    return c.ping().then(function(pong) {
+      pong.should.have.a.property('couchdb');
+      pong.should.have.a.property('userCtx');
+      mocks.done();
+    });
+  });
+
+  it('returns a Promise from server-level functions without a callback', function() {
+    var mocks = nock(SERVER)
+      .get('/_api/v2/user/config/cors').reply(200, { 'enable_cors': true, 'allow_credentials': true, 'origins': ['*'] })
+      .get('/_api/v2/user/virtual_hosts').reply(200, { 'virtual_hosts': [] });
+
+    var c = Cloudant({account: ME, password: PASSWORD});
+    var p = c.get_cors();
+    p.should.be.an.instanceOf(Promise);
+    return p.then(function(d) {
+      d.enable_cors.should.equal(true);
+      return c.get_virtual_hosts();
+    }).then(function(d) {
+      d.virtual_hosts.should.be.an.Array;
+      mocks.done();
+    });
+  });
+
+  it('returns a Promise from db-level functions without a callback', function() {
+    if (process.env.NOCK_OFF) {
+      this.skip();
+    }
+
+    var mocks = nock(SERVER)
+      .get('/mydb/_index').reply(200, { indexes: [] })
+      .post('/mydb/_find').reply(200, { docs: [{ _id: 'a' }] });
+
+    var db = Cloudant({account: ME, password: PASSWORD}).db.use('mydb');
+    return db.index().then(function(d) {
+      d.indexes.should.be.an.Array;
+      return db.find({ selector: { _id: 'a' } });
+    }).then(function(d) {
+      d.docs.should.have.length(1);
+      mocks.done();
+    });
+  });
+
+  it('rejects the Promise on error', function() {
+    if (process.env.NOCK_OFF) {
+      this.skip();
+    }
+
+    var mocks = nock(SERVER)
+      .get('/_api/v2/db/mydb/_security').reply(403, { error: 'forbidden', reason: 'Access denied' });
+
+    var db = Cloudant({account: ME, password: PASSWORD}).db.use('mydb');
+    return db.get_security().then(function() {
+      throw new Error('Unexpected success');
+    }, function(err) {
+      err.statusCode.should.equal(403);
+      err.error.should.equal('forbidden');
+      mocks.done();
+    });
+  });
+
+  it('still returns a stream when a callback is given', function(done) {
+    if (process.env.NOCK_OFF) {
+      this.skip();
+    }
+
+    var mocks = nock(SERVER)
+      .post('/mydb/_find').reply(200, { docs: [] });
+
+    var db = Cloudant({account: ME, password: PASSWORD}).db.use('mydb');
+    var r = db.find({ selector: {} }, function(er, d) {
+      should(er).equal(null);
+      mocks.done();
+      done();
+    });
+    r.should.have.property('pipe');
+  });
+
+  it('works alongside the promises plugin', function() {
+    if (process.env.NOCK_OFF) {
+      this.skip();
+    }
+
+    var mocks = nock(SERVER)
+      .get('/_api/v2/user/config/cors').reply(500, { error: 'internal_error' });
+
+    var c = Cloudant({account: ME, password: PASSWORD, plugin: 'promises'});
+    return c.get_cors().then(function() {
+      throw new Error('Unexpected success');
+    }, function(err) {
+      err.statusCode.should.equal(500);
+      mocks.done();
+    });
+  });
+});
+
 describe('Authentication', function() {
   it('supports Authentication API - POST /_api/v2/api_keys', function(done) {
     var mocks = nock(SERVER)
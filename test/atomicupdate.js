@@ -0,0 +1,175 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const CONFLICT = { error: 'conflict', reason: 'Document update conflict.' };
+const MISSING = { error: 'not_found', reason: 'missing' };
+
+describe('Atomic update', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var db = Cloudant({ account: ME, password: PASSWORD }).db.use(DBNAME);
+  var increment = function(doc) {
+    doc.count = (doc.count || 0) + 1;
+    return doc;
+  };
+
+  it('saves the mutated document with its revision', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra', _rev: '1-a', count: 1 })
+        .put('/' + DBNAME + '/zebra', { _id: 'zebra', _rev: '1-a', count: 2 })
+        .reply(201, { ok: true, id: 'zebra', rev: '2-b' });
+
+    return db.atomicUpdate('zebra', increment).then(function(doc) {
+      assert.deepEqual(doc, { _id: 'zebra', _rev: '2-b', count: 2 });
+      mocks.done();
+    });
+  });
+
+  it('gets the document again and retries on a conflict', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra', _rev: '1-a', count: 1 })
+        .put('/' + DBNAME + '/zebra', { _id: 'zebra', _rev: '1-a', count: 2 })
+        .reply(409, CONFLICT)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra', _rev: '2-c', count: 5 })
+        .put('/' + DBNAME + '/zebra', { _id: 'zebra', _rev: '2-c', count: 6 })
+        .reply(201, { ok: true, id: 'zebra', rev: '3-d' });
+
+    db.atomicUpdate('zebra', increment, { retryTimeout: 10 }, function(err, doc) {
+      assert.equal(err, null);
+      assert.deepEqual(doc, { _id: 'zebra', _rev: '3-d', count: 6 });
+      mocks.done();
+      done();
+    });
+  });
+
+  it('gives up after maxRetries conflicts', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .times(3)
+        .reply(200, { _id: 'zebra', _rev: '1-a' })
+        .put('/' + DBNAME + '/zebra')
+        .times(3)
+        .reply(409, CONFLICT);
+
+    return db.atomicUpdate('zebra', increment, { maxRetries: 2, retryTimeout: 10 }).then(function() {
+      assert.fail('the update should have failed');
+    }, function(err) {
+      assert.ok(err instanceof Cloudant.errors.ConflictError);
+      mocks.done();
+    });
+  });
+
+  it('waits for a mutator which returns a Promise', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra', _rev: '1-a' })
+        .put('/' + DBNAME + '/zebra', { _id: 'zebra', _rev: '1-a', stripes: true })
+        .reply(201, { ok: true, id: 'zebra', rev: '2-b' });
+
+    return db.atomicUpdate('zebra', function(doc) {
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          resolve({ stripes: true });
+        }, 10);
+      });
+    }).then(function(doc) {
+      assert.deepEqual(doc, { _id: 'zebra', _rev: '2-b', stripes: true });
+      mocks.done();
+    });
+  });
+
+  it('does not save an unchanged document', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra', _rev: '1-a', tags: ['a', 'b'], legs: 4 });
+
+    return db.atomicUpdate('zebra', function(doc) {
+      doc.legs = 4;
+    }).then(function(doc) {
+      assert.deepEqual(doc, { _id: 'zebra', _rev: '1-a', tags: ['a', 'b'], legs: 4 });
+      mocks.done();
+    });
+  });
+
+  it('creates a missing document if asked', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(404, MISSING)
+        .put('/' + DBNAME + '/zebra', { _id: 'zebra', type: 'animal', count: 1 })
+        .reply(201, { ok: true, id: 'zebra', rev: '1-a' });
+
+    return db.atomicUpdate('zebra', increment, { createIfMissing: { type: 'animal' } }).then(function(doc) {
+      assert.deepEqual(doc, { _id: 'zebra', _rev: '1-a', type: 'animal', count: 1 });
+      mocks.done();
+    });
+  });
+
+  it('creates a missing document even if the mutator doesn\'t change it', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(404, MISSING)
+        .put('/' + DBNAME + '/zebra', { _id: 'zebra', type: 'animal' })
+        .reply(201, { ok: true, id: 'zebra', rev: '1-a' });
+
+    return db.atomicUpdate('zebra', function() {}, { createIfMissing: { type: 'animal' } }).then(function(doc) {
+      assert.deepEqual(doc, { _id: 'zebra', _rev: '1-a', type: 'animal' });
+      mocks.done();
+    });
+  });
+
+  it('fails for a missing document otherwise', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(404, MISSING);
+
+    return db.atomicUpdate('zebra', increment).then(function() {
+      assert.fail('the update should have failed');
+    }, function(err) {
+      assert.ok(err instanceof Cloudant.errors.NotFoundError);
+      mocks.done();
+    });
+  });
+
+  it('fails with the error of the mutator', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra', _rev: '1-a' });
+
+    return db.atomicUpdate('zebra', function() {
+      throw new Error('no stripes');
+    }).then(function() {
+      assert.fail('the update should have failed');
+    }, function(err) {
+      assert.equal(err.message, 'no stripes');
+      mocks.done();
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it afterEach */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const fs = require('fs');
+const nock = require('./nock.js');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const LOG = path.join(os.tmpdir(), 'nodejs-cloudant-backup-test.log');
+
+// a writable stream which collects the lines written to it
+const collector = function() {
+  var s = new stream.PassThrough();
+  s.text = '';
+  s.on('data', function(chunk) {
+    s.text += chunk;
+  });
+  return s;
+};
+
+const lines = function(text) {
+  return text.split('\n').filter(function(line) {
+    return line;
+  }).map(function(line) {
+    return JSON.parse(line);
+  });
+};
+
+const doc = function(id, rev) {
+  return { _id: id, _rev: rev || '1-a', _revisions: { start: 1, ids: ['a'] } };
+};
+
+describe('Backup and restore', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var db = Cloudant({ account: ME, password: PASSWORD }).db.use(DBNAME);
+
+  afterEach(function() {
+    nock.cleanAll();
+    try {
+      fs.unlinkSync(LOG);
+    } catch (e) {}
+  });
+
+  it('backs up the winning revisions with a shallow backup', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_all_docs')
+        .query({ include_docs: true, limit: 2 })
+        .reply(200, { rows: [{ id: 'a', doc: { _id: 'a', _rev: '1-a' } }, { id: 'b', doc: { _id: 'b', _rev: '1-b' } }] })
+        .get('/' + DBNAME + '/_all_docs')
+        .query({ include_docs: true, limit: 2, startkey: '"b"', skip: 1 })
+        .reply(200, { rows: [{ id: 'c', doc: { _id: 'c', _rev: '1-c' } }] });
+
+    var out = collector();
+    var progress = [];
+    db.backup(out, { mode: 'shallow', batchSize: 2 }, function(err, summary) {
+      assert.equal(err, null);
+      assert.equal(summary.total, 3);
+      assert.deepEqual(progress, [2, 3]);
+      assert.deepEqual(lines(out.text), [
+        [{ _id: 'a', _rev: '1-a' }, { _id: 'b', _rev: '1-b' }],
+        [{ _id: 'c', _rev: '1-c' }]
+      ]);
+      mocks.done();
+      done();
+    }).on('progress', function(p) {
+      progress.push(p.total);
+    });
+  });
+
+  it('backs up the revision histories with a full backup', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_changes')
+        .query({ since: '0', limit: 2, seq_interval: 2 })
+        .reply(200, { results: [{ id: 'a' }, { id: 'b', deleted: true }], last_seq: '2-x' })
+        .post('/' + DBNAME + '/_bulk_get', { docs: [{ id: 'a' }, { id: 'b' }] })
+        .query({ revs: true })
+        .reply(200, { results: [
+          { id: 'a', docs: [{ ok: doc('a') }] },
+          { id: 'b', docs: [{ error: { id: 'b', rev: 'undefined', error: 'not_found', reason: 'deleted' } }] }
+        ] })
+        .get('/' + DBNAME + '/_changes')
+        .query({ since: '2-x', limit: 2, seq_interval: 2 })
+        .reply(200, { results: [], last_seq: '2-x' });
+
+    var out = collector();
+    db.backup(out, { batchSize: 2 }).on('finished', function(summary) {
+      assert.equal(summary.total, 1);
+      assert.deepEqual(lines(out.text), [[doc('a')]]);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('resumes a full backup from its log', function(done) {
+    fs.writeFileSync(LOG, [
+      JSON.stringify({ batch: 0, ids: ['a'], since: '1-x' }),
+      JSON.stringify({ backedUp: 0 }),
+      JSON.stringify({ batch: 1, ids: ['b'], since: '2-x' }),
+      '{"backedUp":'
+    ].join('\n'));
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_bulk_get', { docs: [{ id: 'b' }] })
+        .query({ revs: true })
+        .reply(200, { results: [{ id: 'b', docs: [{ ok: doc('b') }] }] })
+        .get('/' + DBNAME + '/_changes')
+        .query({ since: '2-x', limit: 500, seq_interval: 500 })
+        .reply(200, { results: [], last_seq: '2-x' });
+
+    var out = collector();
+    db.backup(out, { log: LOG, resume: true }, function(err) {
+      assert.equal(err, null);
+      assert.deepEqual(lines(out.text), [[doc('b')]]);
+      var log = lines(fs.readFileSync(LOG, 'utf8').replace('{"backedUp":\n', ''));
+      assert.deepEqual(log.slice(-2), [{ backedUp: 1 }, { complete: true, since: '2-x' }]);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('fails with the error of a request', function(done) {
+    nock(SERVER)
+        .get('/' + DBNAME + '/_changes')
+        .query(true)
+        .reply(404, { error: 'not_found', reason: 'Database does not exist.' });
+
+    db.backup(collector()).on('error', function(err) {
+      assert.ok(err instanceof Cloudant.errors.NotFoundError);
+      done();
+    });
+  });
+
+  it('restores each line with new_edits false', function(done) {
+    var bodies = [];
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_bulk_docs')
+        .times(2)
+        .reply(201, function(uri, body) {
+          bodies.push(body);
+          return [];
+        });
+
+    var input = new stream.PassThrough();
+    var progress = 0;
+    db.restore(input, { concurrency: 2 }, function(err, summary) {
+      assert.equal(err, null);
+      assert.equal(summary.total, 3);
+      assert.equal(progress, 2);
+      bodies.sort(function(a, b) {
+        return a.docs.length - b.docs.length;
+      });
+      assert.deepEqual(bodies, [
+        { docs: [doc('c')], new_edits: false },
+        { docs: [doc('a'), doc('b')], new_edits: false }
+      ]);
+      mocks.done();
+      done();
+    }).on('progress', function() {
+      progress++;
+    });
+    input.write(JSON.stringify([doc('a'), doc('b')]) + '\n' + JSON.stringify([doc('c')]).slice(0, 10));
+    input.end(JSON.stringify([doc('c')]).slice(10) + '\n');
+  });
+
+  it('resumes a restore from its log', function(done) {
+    fs.writeFileSync(LOG, JSON.stringify({ restored: 1 }) + '\n');
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_bulk_docs', { docs: [doc('c')], new_edits: false })
+        .reply(201, []);
+
+    var input = new stream.PassThrough();
+    db.restore(input, { log: LOG, resume: true }, function(err, summary) {
+      assert.equal(err, null);
+      assert.equal(summary.total, 1);
+      assert.deepEqual(lines(fs.readFileSync(LOG, 'utf8')), [{ restored: 1 }, { restored: 2 }]);
+      mocks.done();
+      done();
+    });
+    input.end(JSON.stringify([doc('a'), doc('b')]) + '\n' + JSON.stringify([doc('c')]) + '\n');
+  });
+
+  it('won\'t resume from the log of the other kind of job', function(done) {
+    fs.writeFileSync(LOG, JSON.stringify({ backedUp: 0, last: 'b' }) + '\n');
+    var input = new stream.PassThrough();
+    db.restore(input, { log: LOG, resume: true }, function(err) {
+      assert.ok(err instanceof Cloudant.errors.CloudantError);
+      assert.equal(err.message, 'Log ' + LOG + ' is not a restore log');
+      fs.writeFileSync(LOG, JSON.stringify({ restored: 1 }) + '\n');
+      db.backup(collector(), { log: LOG, resume: true }, function(err) {
+        assert.equal(err.message, 'Log ' + LOG + ' is not a backup log');
+        // the log is left as it was
+        assert.deepEqual(lines(fs.readFileSync(LOG, 'utf8')), [{ restored: 1 }]);
+        done();
+      });
+    });
+    input.end(JSON.stringify([doc('a')]) + '\n');
+  });
+
+  it('fails a restore on a document error', function(done) {
+    nock(SERVER)
+        .post('/' + DBNAME + '/_bulk_docs')
+        .reply(201, [{ id: 'a', error: 'forbidden', reason: 'read only' }]);
+
+    var input = new stream.PassThrough();
+    db.restore(input, function(err) {
+      assert.ok(err instanceof Cloudant.errors.ForbiddenError);
+      done();
+    });
+    input.end(JSON.stringify([doc('a')]) + '\n');
+  });
+});
@@ -0,0 +1,186 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const batchget = require('../lib/batchget.js');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const ok = function(id, rev) {
+  return { id: id, docs: [{ ok: { _id: id, _rev: rev || '1-123', name: id } }] };
+};
+const missing = function(id) {
+  return { id: id, docs: [{ error: { id: id, rev: 'undefined', error: 'not_found', reason: 'missing' } }] };
+};
+
+describe('Batched get', function() {
+  describe('batching', function() {
+    it('fetches the documents asked for within the window together', function(done) {
+      var batches = [];
+      var fetch = function(docs, callback) {
+        batches.push(docs);
+        setImmediate(function() {
+          callback(null, { results: docs.map(function(doc) { return ok(doc.id); }) });
+        });
+      };
+      var get = batchget(DBNAME, fetch, { wait: 5 });
+      var remaining = 3;
+      var check = function(err, doc) {
+        assert.equal(err, null);
+        assert.ok(doc._id);
+        if (--remaining === 0) {
+          assert.deepEqual(batches, [[{ id: 'a' }, { id: 'b' }, { id: 'c', rev: '2-456' }]]);
+          done();
+        }
+      };
+      get('a', {}, check);
+      get('b', {}, check);
+      get('c', { rev: '2-456' }, check);
+    });
+
+    it('sends a batch as soon as it holds maxBatch documents', function(done) {
+      var batches = [];
+      var fetch = function(docs, callback) {
+        batches.push(docs.map(function(doc) { return doc.id; }));
+        callback(null, { results: docs.map(function(doc) { return ok(doc.id); }) });
+      };
+      var get = batchget(DBNAME, fetch, { wait: 1000, maxBatch: 2 });
+      var start = Date.now();
+      get('a', {}, function() {});
+      get('b', {}, function() {});
+      get('c', {}, function() {});
+      get('d', {}, function() {
+        assert.deepEqual(batches, [['a', 'b'], ['c', 'd']]);
+        assert.ok(Date.now() - start < 500);
+        done();
+      });
+    });
+
+    it('de-duplicates repeated ids, giving each caller a copy', function(done) {
+      var batches = [];
+      var fetch = function(docs, callback) {
+        batches.push(docs);
+        callback(null, { results: docs.map(function(doc) { return ok(doc.id, doc.rev); }) });
+      };
+      var get = batchget(DBNAME, fetch, { wait: 0 });
+      var first = null;
+      get('a', {}, function(err, doc) {
+        assert.equal(err, null);
+        first = doc;
+      });
+      get('a', { rev: '2-456' }, function() {});
+      get('a', {}, function(err, doc) {
+        assert.equal(err, null);
+        assert.deepEqual(doc, first);
+        assert.notStrictEqual(doc, first);
+        assert.deepEqual(batches, [[{ id: 'a' }, { id: 'a', rev: '2-456' }]]);
+        done();
+      });
+    });
+
+    it('reports the error of each document', function(done) {
+      var fetch = function(docs, callback) {
+        callback(null, { results: [ok('a'), missing('b')] });
+      };
+      var get = batchget(DBNAME, fetch, { wait: 0 });
+      get('a', {}, function(err, doc) {
+        assert.equal(err, null);
+        assert.equal(doc._id, 'a');
+      });
+      get('b', {}, function(err, doc) {
+        assert.ok(err instanceof Cloudant.errors.NotFoundError);
+        assert.equal(err.statusCode, 404);
+        assert.equal(err.reason, 'missing');
+        assert.equal(err.path, '/' + DBNAME + '/b');
+        assert.equal(doc, undefined);
+        done();
+      });
+    });
+
+    it('reports the error of the whole request to every caller', function(done) {
+      var failure = new Error('boom');
+      var fetch = function(docs, callback) {
+        callback(failure);
+      };
+      var get = batchget(DBNAME, fetch, { wait: 0 });
+      var remaining = 2;
+      var check = function(err) {
+        assert.strictEqual(err, failure);
+        if (--remaining === 0) {
+          done();
+        }
+      };
+      get('a', {}, check);
+      get('b', {}, check);
+    });
+  });
+
+  describe('db.batchedGet', function() {
+    if (process.env.NOCK_OFF) {
+      return;
+    }
+
+    it('sends a single POST /_bulk_get', function() {
+      var mocks = nock(SERVER)
+          .post('/' + DBNAME + '/_bulk_get', { docs: [{ id: 'zebra' }, { id: 'unicorn' }] })
+          .reply(200, { results: [ok('zebra'), missing('unicorn')] });
+
+      var cloudant = Cloudant({ account: ME, password: PASSWORD, batching: { wait: 5 } });
+      return Promise.all([
+        cloudant.db.use(DBNAME).batchedGet('zebra'),
+        cloudant.use(DBNAME).batchedGet('unicorn').then(function() {
+          assert.fail('the unicorn should be missing');
+        }, function(err) {
+          return err;
+        }),
+        cloudant.db.use(DBNAME).batchedGet('zebra')
+      ]).then(function(results) {
+        assert.equal(results[0]._id, 'zebra');
+        assert.ok(results[1] instanceof Cloudant.errors.NotFoundError);
+        assert.deepEqual(results[2], results[0]);
+        mocks.done();
+      });
+    });
+
+    it('calls back with the error of a failed request', function(done) {
+      var mocks = nock(SERVER)
+          .post('/' + DBNAME + '/_bulk_get')
+          .reply(500, { error: 'internal_server_error', reason: 'oops' });
+
+      var db = Cloudant({ account: ME, password: PASSWORD }).db.use(DBNAME);
+      db.batchedGet('zebra', { rev: '1-123' }, function(err) {
+        assert.ok(err instanceof Cloudant.errors.ServerError);
+        mocks.done();
+        done();
+      });
+    });
+
+    it('requires a document id', function() {
+      var db = Cloudant({ account: ME, password: PASSWORD }).db.use(DBNAME);
+      return db.batchedGet().then(function() {
+        assert.fail('batchedGet should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Cloudant.errors.CloudantError);
+      });
+    });
+  });
+});
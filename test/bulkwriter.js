@@ -0,0 +1,241 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const bulkwriter = require('../lib/bulkwriter.js');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+const stream = require('stream');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+// a save function which records its batches and saves every document
+const saver = function(batches, delay) {
+  return function(docs, callback) {
+    batches.push(docs.map(function(doc) { return doc._id; }));
+    setTimeout(function() {
+      callback(null, docs.map(function(doc) {
+        return { ok: true, id: doc._id, rev: '1-123' };
+      }));
+    }, delay || 0);
+  };
+};
+
+const docs = function(n) {
+  var list = [];
+  for (var i = 0; i < n; i++) {
+    list.push({ _id: 'doc' + i });
+  }
+  return list;
+};
+
+describe('Bulk writer', function() {
+  describe('batching', function() {
+    it('sends full batches straight away', function() {
+      var batches = [];
+      var writer = bulkwriter(DBNAME, saver(batches), { batchSize: 2, flushInterval: 10000 });
+      var writes = docs(4).map(function(doc) {
+        return writer.write(doc);
+      });
+      return Promise.all(writes).then(function(results) {
+        assert.deepEqual(batches, [['doc0', 'doc1'], ['doc2', 'doc3']]);
+        assert.deepEqual(results[3], { id: 'doc3', rev: '1-123' });
+      });
+    });
+
+    it('sends a partial batch after the flush interval', function() {
+      var batches = [];
+      var writer = bulkwriter(DBNAME, saver(batches), { batchSize: 10, flushInterval: 20 });
+      var start = Date.now();
+      return writer.write({ _id: 'doc0' }).then(function() {
+        assert.ok(Date.now() - start >= 15);
+        assert.deepEqual(batches, [['doc0']]);
+      });
+    });
+
+    it('sends a partial batch on flush()', function() {
+      var batches = [];
+      var writer = bulkwriter(DBNAME, saver(batches), { batchSize: 10, flushInterval: 10000 });
+      var saved = false;
+      writer.write({ _id: 'doc0' }).then(function() {
+        saved = true;
+      });
+      writer.write({ _id: 'doc1' });
+      return writer.flush().then(function() {
+        assert.ok(saved);
+        assert.deepEqual(batches, [['doc0', 'doc1']]);
+      });
+    });
+
+    it('limits the batches in flight to the concurrency', function() {
+      var inFlight = 0;
+      var max = 0;
+      var save = function(docs, callback) {
+        inFlight++;
+        max = Math.max(max, inFlight);
+        setTimeout(function() {
+          inFlight--;
+          callback(null, docs.map(function(doc) {
+            return { ok: true, id: doc._id, rev: '1-123' };
+          }));
+        }, 5);
+      };
+      var writer = bulkwriter(DBNAME, save, { batchSize: 2, concurrency: 2 });
+      docs(10).forEach(function(doc) {
+        writer.write(doc);
+      });
+      return writer.end().then(function(totals) {
+        assert.equal(max, 2);
+        assert.deepEqual(totals, { written: 10, failed: 0 });
+      });
+    });
+
+    it('rejects the documents which fail', function() {
+      var save = function(docs, callback) {
+        callback(null, [
+          { ok: true, id: 'doc0', rev: '1-123' },
+          { id: 'doc1', error: 'conflict', reason: 'Document update conflict.' },
+          { id: 'doc2', error: 'forbidden', reason: 'must have a name' }
+        ]);
+      };
+      var writer = bulkwriter(DBNAME, save, { batchSize: 3 });
+      var failures = [];
+      writer.on('docError', function(err, doc) {
+        failures.push(doc._id);
+      });
+      var writes = docs(3).map(function(doc) {
+        return writer.write(doc).catch(function(err) {
+          return err;
+        });
+      });
+      return Promise.all(writes).then(function(results) {
+        assert.equal(results[0].rev, '1-123');
+        assert.ok(results[1] instanceof Cloudant.errors.ConflictError);
+        assert.equal(results[1].statusCode, 409);
+        assert.ok(results[2] instanceof Cloudant.errors.ForbiddenError);
+        assert.equal(results[2].reason, 'must have a name');
+        assert.deepEqual(failures, ['doc1', 'doc2']);
+        return writer.end();
+      }).then(function(totals) {
+        assert.deepEqual(totals, { written: 1, failed: 2 });
+      });
+    });
+
+    it('rejects every document of a failed batch', function() {
+      var failure = new Cloudant.errors.ServerError('oops');
+      var writer = bulkwriter(DBNAME, function(docs, callback) {
+        callback(failure);
+      }, { batchSize: 2 });
+      return Promise.all(docs(2).map(function(doc) {
+        return writer.write(doc).then(function() {
+          assert.fail('the write should have failed');
+        }, function(err) {
+          assert.strictEqual(err, failure);
+        });
+      }));
+    });
+
+    it('rejects writes after end() and writes which aren\'t documents', function() {
+      var writer = bulkwriter(DBNAME, saver([]), {});
+      return writer.write('zebra').then(function() {
+        assert.fail('the write should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Cloudant.errors.CloudantError);
+        return writer.end();
+      }).then(function() {
+        return writer.write({ _id: 'zebra' });
+      }).then(function() {
+        assert.fail('the write should have failed');
+      }, function(err) {
+        assert.equal(err.message, 'write after end');
+      });
+    });
+
+    it('only finishes once the buffered documents have been saved', function(done) {
+      var batches = [];
+      var writer = bulkwriter(DBNAME, saver(batches, 10), { batchSize: 2, flushInterval: 60000 });
+      docs(5).forEach(function(doc) {
+        writer.write(doc);
+      });
+      var finished = false;
+      writer.on('finish', function() {
+        finished = true;
+        assert.equal(batches.length, 3);
+      });
+      writer.end().then(function(totals) {
+        assert.ok(finished);
+        assert.deepEqual(totals, { written: 5, failed: 0 });
+        assert.deepEqual(batches[2], ['doc4']);
+        done();
+      }).catch(done);
+    });
+
+    it('applies backpressure to the streams piped into it', function(done) {
+      var batches = [];
+      var writer = bulkwriter(DBNAME, saver(batches, 10), { batchSize: 5, concurrency: 1 });
+      var source = new stream.Readable({ objectMode: true, read: function() {} });
+      var pauses = 0;
+      source.on('pause', function() {
+        pauses++;
+      });
+      source.pipe(writer);
+      docs(30).forEach(function(doc) {
+        source.push(doc);
+      });
+      source.push(null);
+      writer.on('finish', function() {
+        assert.ok(pauses > 0);
+        assert.equal(batches.length, 6);
+        assert.deepEqual(batches[5], ['doc25', 'doc26', 'doc27', 'doc28', 'doc29']);
+        done();
+      });
+    });
+  });
+
+  describe('db.bulkWriter', function() {
+    if (process.env.NOCK_OFF) {
+      return;
+    }
+
+    it('sends POST /_bulk_docs', function() {
+      var mocks = nock(SERVER)
+          .post('/' + DBNAME + '/_bulk_docs', { docs: [{ _id: 'zebra' }, { _id: 'lion' }] })
+          .reply(201, [
+            { ok: true, id: 'zebra', rev: '1-123' },
+            { id: 'lion', error: 'conflict', reason: 'Document update conflict.' }
+          ]);
+
+      var db = Cloudant({ account: ME, password: PASSWORD }).db.use(DBNAME);
+      var writer = db.bulkWriter({ batchSize: 2 });
+      return Promise.all([
+        writer.write({ _id: 'zebra' }),
+        writer.write({ _id: 'lion' }).catch(function(err) {
+          return err;
+        })
+      ]).then(function(results) {
+        assert.equal(results[0].rev, '1-123');
+        assert.ok(results[1] instanceof Cloudant.errors.ConflictError);
+        assert.equal(results[1].path, '/' + DBNAME + '/_bulk_docs');
+        mocks.done();
+        return writer.end();
+      });
+    });
+  });
+});
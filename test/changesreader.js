@@ -0,0 +1,205 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it afterEach */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const changes = function(ids, lastSeq) {
+  return {
+    results: ids.map(function(id) {
+      return { id: id, seq: null, changes: [{ rev: '1-123' }] };
+    }),
+    last_seq: lastSeq,
+    pending: 0
+  };
+};
+
+// a longpoll which never replies before the test ends
+const hang = function(scope, since) {
+  return scope.get('/' + DBNAME + '/_changes')
+      .query(function(qs) { return qs.since === since; })
+      .delay(10000)
+      .reply(200, changes([], since));
+};
+
+describe('Changes reader', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var db = Cloudant({ account: ME, password: PASSWORD }).db.use(DBNAME);
+
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  it('reads the changes a batch at a time', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_changes')
+        .query({ feed: 'longpoll', since: '0', limit: 2, seq_interval: 2, timeout: 1000 })
+        .reply(200, changes(['a', 'b'], '2-x'))
+        .get('/' + DBNAME + '/_changes')
+        .query({ feed: 'longpoll', since: '2-x', limit: 2, seq_interval: 2, timeout: 1000 })
+        .reply(200, changes(['c'], '3-x'));
+    hang(mocks, '3-x');
+
+    var ids = [];
+    var reader = db.changesReader({ batchSize: 2, timeout: 1000 });
+    reader.on('data', function(change) {
+      ids.push(change.id);
+      if (ids.length === 3) {
+        reader.stop().then(function() {
+          assert.deepEqual(ids, ['a', 'b', 'c']);
+          done();
+        });
+      }
+    });
+  });
+
+  it('sets seq_interval', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_changes')
+        .query({ feed: 'longpoll', since: '0', limit: 10, seq_interval: 5, timeout: 1000 })
+        .reply(200, changes(['a'], '1-x'))
+        .get('/' + DBNAME + '/_changes')
+        .query({ feed: 'longpoll', since: '1-x', limit: 10, timeout: 1000 })
+        .reply(200, changes(['b'], '2-x'));
+    hang(mocks, '1-x');
+    hang(mocks, '2-x');
+
+    var reader = db.changesReader({ batchSize: 10, seqInterval: 5, timeout: 1000 });
+    reader.once('data', function(change) {
+      assert.equal(change.id, 'a');
+      reader.stop().then(function() {
+        var all = db.changesReader({ since: '1-x', batchSize: 10, seqInterval: null, timeout: 1000 });
+        all.once('data', function(change) {
+          assert.equal(change.id, 'b');
+          all.stop(done);
+        });
+      });
+    });
+  });
+
+  it('filters the changes with a selector', function(done) {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_changes', { selector: { type: 'zebra' } })
+        .query(function(qs) { return qs.filter === '_selector' && qs.since === 'now'; })
+        .reply(200, changes(['zebra'], '1-x'))
+        .post('/' + DBNAME + '/_changes')
+        .query(function(qs) { return qs.since === '1-x'; })
+        .delay(10000)
+        .reply(200, changes([], '1-x'));
+
+    var reader = db.changesReader({ since: 'now', selector: { type: 'zebra' } });
+    reader.on('data', function(change) {
+      assert.equal(change.id, 'zebra');
+      reader.stop(done);
+    });
+  });
+
+  it('carries on after network errors and server errors', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_changes')
+        .query(true)
+        .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+        .get('/' + DBNAME + '/_changes')
+        .query(true)
+        .reply(503, { error: 'service_unavailable', reason: 'try later' })
+        .get('/' + DBNAME + '/_changes')
+        .query(function(qs) { return qs.since === '0'; })
+        .reply(200, changes(['a'], '1-x'));
+    hang(mocks, '1-x');
+
+    var retries = [];
+    var reader = db.changesReader({ retryTimeout: 10 });
+    reader.on('retry', function(err, delay) {
+      retries.push(err.statusCode || err.code);
+      assert.ok(delay < 10 * Math.pow(2, retries.length - 1));
+    }).on('data', function(change) {
+      assert.equal(change.id, 'a');
+      assert.deepEqual(retries, ['ECONNRESET', 503]);
+      reader.stop(done);
+    });
+  });
+
+  it('fails on other errors', function(done) {
+    nock(SERVER)
+        .get('/' + DBNAME + '/_changes')
+        .query(true)
+        .reply(404, { error: 'not_found', reason: 'Database does not exist.' });
+
+    db.changesReader().on('error', function(err) {
+      assert.ok(err instanceof Cloudant.errors.NotFoundError);
+      done();
+    }).resume();
+  });
+
+  it('resumes from and saves a checkpoint', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_local/worker')
+        .reply(200, { _id: '_local/worker', _rev: '0-1', seq: '5-x' })
+        .get('/' + DBNAME + '/_changes')
+        .query(function(qs) { return qs.since === '5-x'; })
+        .reply(200, changes(['a', 'b'], '7-x'))
+        .get('/' + DBNAME + '/_changes')
+        .query(function(qs) { return qs.since === '7-x'; })
+        .reply(200, changes([], '7-x'))
+        .put('/' + DBNAME + '/_local/worker', { _rev: '0-1', seq: '7-x' })
+        .reply(201, { ok: true, id: '_local/worker', rev: '0-2' });
+    hang(mocks, '7-x');
+
+    var reader = db.changesReader({ since: '0', checkpoint: 'worker', checkpointInterval: 20 });
+    var ids = [];
+    reader.on('data', function(change) {
+      ids.push(change.id);
+    }).on('checkpoint', function(seq) {
+      assert.equal(seq, '7-x');
+      assert.deepEqual(ids, ['a', 'b']);
+      reader.stop(function() {
+        mocks.done();
+        done();
+      });
+    });
+  });
+
+  it('saves the checkpoint when stopped', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_local/worker')
+        .reply(404, { error: 'not_found', reason: 'missing' })
+        .get('/' + DBNAME + '/_changes')
+        .query(function(qs) { return qs.since === '0'; })
+        .reply(200, changes([], '3-x'))
+        .put('/' + DBNAME + '/_local/worker', { seq: '3-x' })
+        .reply(201, { ok: true, id: '_local/worker', rev: '0-1' });
+    hang(mocks, '3-x');
+
+    var reader = db.changesReader({ checkpoint: 'worker', checkpointInterval: 60000 });
+    reader.resume();
+    setTimeout(function() {
+      reader.stop().then(function() {
+        mocks.done();
+        done();
+      }).catch(done);
+    }, 50);
+  });
+});
@@ -0,0 +1,172 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const https = require('https');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const isClosedError = function(err) {
+  return err instanceof Cloudant.errors.CloudantError && err.code === 'ERR_CLIENT_CLOSED';
+};
+
+describe('Client close', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  it('returns a Promise and makes later requests fail fast', function() {
+    var cloudant = Cloudant({account: ME, password: PASSWORD});
+    var db = cloudant.db.use(DBNAME);
+    return cloudant.close().then(function() {
+      return db.find({ selector: {} });
+    }).then(function() {
+      assert.fail('find should have failed');
+    }, function(err) {
+      assert.ok(isClosedError(err));
+      assert.equal(err.message, 'The client has been closed');
+    });
+  });
+
+  it('fails later requests with a callback or a stream', function(done) {
+    var cloudant = Cloudant({account: ME, password: PASSWORD, plugin: 'retry'});
+    cloudant.close(function(err) {
+      assert.equal(err, null);
+      cloudant.db.get(DBNAME, function(err) {
+        assert.ok(isClosedError(err));
+        cloudant.db.use(DBNAME).list().on('error', function(err) {
+          assert.ok(isClosedError(err));
+          done();
+        });
+      });
+    });
+  });
+
+  it('destroys the agent the library created', function() {
+    var cloudant = Cloudant({account: ME, password: PASSWORD});
+    var agent = cloudant.config.requestDefaults.agent;
+    assert.ok(agent instanceof https.Agent);
+    var destroyed = false;
+    agent.destroy = function() {
+      destroyed = true;
+    };
+    return cloudant.close().then(function() {
+      assert.ok(destroyed);
+    });
+  });
+
+  it('leaves an agent it was given alone', function() {
+    var agent = new https.Agent({ keepAlive: true });
+    agent.destroy = function() {
+      assert.fail('the agent should not be destroyed');
+    };
+    var cloudant = Cloudant({account: ME, password: PASSWORD, requestDefaults: { agent: agent }});
+    return cloudant.close();
+  });
+
+  it('waits for requests in flight to complete', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME)
+        .delay(100)
+        .reply(200, { db_name: DBNAME });
+
+    var cloudant = Cloudant({account: ME, password: PASSWORD});
+    var completed = false;
+    cloudant.db.get(DBNAME, function(err, body) {
+      assert.equal(err, null);
+      assert.equal(body.db_name, DBNAME);
+      completed = true;
+    });
+    cloudant.close(function() {
+      assert.ok(completed);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('aborts requests in flight if asked', function(done) {
+    nock(SERVER)
+        .get('/' + DBNAME)
+        .delay(1000)
+        .reply(200, { db_name: DBNAME });
+
+    var cloudant = Cloudant({account: ME, password: PASSWORD, plugin: ['retry']});
+    var failed = false;
+    cloudant.db.get(DBNAME, function(err) {
+      assert.ok(isClosedError(err));
+      failed = true;
+    });
+    setImmediate(function() {
+      cloudant.close({ abort: true }).then(function() {
+        assert.ok(failed);
+        nock.cleanAll();
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('fails the requests queued by the throttle', function(done) {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find')
+        .reply(200, { docs: [] });
+
+    var cloudant = Cloudant({account: ME, password: PASSWORD, throttle: { rates: { query: 1 } }});
+    var db = cloudant.db.use(DBNAME);
+    var sent = db.find({ selector: {} });
+    var queued = db.find({ selector: {} }).then(function() {
+      assert.fail('the queued request should have failed');
+    }, function(err) {
+      assert.ok(isClosedError(err));
+    });
+    var streamed = db.search('library', 'books', { q: 'author:dickens' });
+    assert.equal(cloudant.stats().queued, 2);
+    var failed = 0;
+    streamed.on('error', function(err) {
+      assert.ok(isClosedError(err));
+      failed++;
+    });
+    cloudant.close().then(function() {
+      assert.equal(cloudant.stats().queued, 0);
+      return sent;
+    }).then(function() {
+      return queued;
+    }).then(function() {
+      assert.equal(failed, 1);
+      mocks.done();
+      done();
+    }).catch(done);
+  });
+
+  it('logs the plugins out, stopping their timers', function() {
+    var loggedOut = false;
+    var middleware = function(req, callback, next) {
+      return next(req, callback);
+    };
+    middleware.logout = function() {
+      loggedOut = true;
+    };
+    var cloudant = Cloudant({account: ME, password: PASSWORD, plugin: [middleware]});
+    return cloudant.close().then(function() {
+      assert.ok(loggedOut);
+    });
+  });
+});
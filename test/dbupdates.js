@@ -0,0 +1,127 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it afterEach */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+
+const updates = function(list, lastSeq) {
+  return {
+    results: list.map(function(update) {
+      return { db_name: update[0], type: update[1], seq: null };
+    }),
+    last_seq: lastSeq
+  };
+};
+
+describe('Database updates', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var cloudant = Cloudant({ account: ME, password: PASSWORD });
+
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  it('emits an event for each type of update', function(done) {
+    nock(SERVER)
+        .get('/_db_updates')
+        .query({ feed: 'longpoll', since: 'now', timeout: 60000 })
+        .reply(200, updates([['customer1', 'created'], ['customer2', 'updated'], ['customer3', 'deleted']], '3-x'))
+        .get('/_db_updates')
+        .query(function(qs) { return qs.since === '3-x'; })
+        .delay(10000)
+        .reply(200, updates([], '3-x'));
+
+    var seen = [];
+    var feed = cloudant.dbUpdates({ since: 'now' });
+    var record = function(update) {
+      seen.push(update.type + ' ' + update.db_name);
+      if (seen.length === 3) {
+        assert.deepEqual(seen, ['created customer1', 'updated customer2', 'deleted customer3']);
+        feed.stop(done);
+      }
+    };
+    feed.on('created', record).on('updated', record).on('deleted', record);
+  });
+
+  it('stops once caught up with the normal feed', function(done) {
+    var mocks = nock(SERVER)
+        .get('/_db_updates')
+        .query({ feed: 'normal', since: '0' })
+        .reply(200, updates([['customer1', 'created']], '1-x'))
+        .get('/_db_updates')
+        .query({ feed: 'normal', since: '1-x' })
+        .reply(200, updates([], '1-x'));
+
+    var names = [];
+    cloudant.dbUpdates({ feed: 'normal' }).on('data', function(update) {
+      names.push(update.db_name);
+    }).on('end', function() {
+      assert.deepEqual(names, ['customer1']);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('resumes from a checkpoint in the checkpoint database', function(done) {
+    var mocks = nock(SERVER)
+        .get('/meta/_local/provisioner')
+        .reply(200, { _id: '_local/provisioner', _rev: '0-1', seq: '8-x' })
+        .get('/_db_updates')
+        .query(function(qs) { return qs.since === '8-x'; })
+        .reply(200, updates([['customer9', 'created']], '9-x'))
+        .get('/_db_updates')
+        .query(function(qs) { return qs.since === '9-x'; })
+        .reply(200, updates([], '9-x'))
+        .put('/meta/_local/provisioner', { _rev: '0-1', seq: '9-x' })
+        .reply(201, { ok: true, id: '_local/provisioner', rev: '0-2' })
+        .get('/_db_updates')
+        .query(function(qs) { return qs.since === '9-x'; })
+        .delay(10000)
+        .reply(200, updates([], '9-x'));
+
+    var feed = cloudant.dbUpdates({ checkpoint: 'provisioner', checkpointDb: 'meta' });
+    feed.on('created', function(update) {
+      assert.equal(update.db_name, 'customer9');
+      setTimeout(function() {
+        feed.stop(function() {
+          mocks.done();
+          done();
+        });
+      }, 20);
+    });
+  });
+
+  it('requires a database for its checkpoint', function() {
+    assert.throws(function() {
+      cloudant.dbUpdates({ checkpoint: 'provisioner' });
+    }, Cloudant.errors.CloudantError);
+  });
+
+  it('rejects feeds it can\'t follow', function() {
+    assert.throws(function() {
+      cloudant.dbUpdates({ feed: 'continuous' });
+    }, /Invalid feed/);
+  });
+});
@@ -0,0 +1,180 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const fullscan = require('../lib/fullscan.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const ALL_DOCS = { ddoc: null, name: '_all_docs', type: 'special', def: { fields: [{ _id: 'asc' }] } };
+const BY_CLASS = { ddoc: '_design/animals', name: 'by-class', type: 'json', def: { fields: [{ class: 'asc' }] } };
+
+const explanation = function(index, selector) {
+  return { dbname: ME + '/' + DBNAME, index: index, selector: selector, opts: {}, limit: 25, skip: 0, fields: 'all_fields', range: {} };
+};
+
+// wait for the background explain request to complete
+const later = function() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 100);
+  });
+};
+
+describe('Cloudant Query explain', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  it('returns the chosen index and range - POST /<db>/_explain', function() {
+    var db = Cloudant({account: ME, password: PASSWORD}).db.use(DBNAME);
+    var selector = { class: 'mammal' };
+    var body = explanation(BY_CLASS, selector);
+    body.range = { start_key: ['mammal'], end_key: ['mammal', '<MAX>'] };
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_explain', { selector: selector })
+        .reply(200, body);
+
+    return db.explain({ selector: selector }).then(function(result) {
+      assert.deepEqual(result.index, BY_CLASS);
+      assert.deepEqual(result.range, body.range);
+      mocks.done();
+    });
+  });
+});
+
+describe('Cloudant Query full scan warnings', function() {
+  it('reduces selectors to their shape', function() {
+    assert.deepEqual(fullscan.shape({ b: { $gt: 1 }, a: 'x', $or: [{ c: true }, { d: null }] }),
+      { $or: [{ c: 'boolean' }, { d: 'object' }], a: 'string', b: { $gt: 'number' } });
+  });
+
+  it('identifies full scans', function() {
+    assert.ok(fullscan.isFullScan(explanation(ALL_DOCS)));
+    assert.ok(!fullscan.isFullScan(explanation(BY_CLASS)));
+  });
+
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  it('does not explain queries by default', function() {
+    var db = Cloudant({account: ME, password: PASSWORD}).db.use(DBNAME);
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find')
+        .reply(200, { docs: [] });
+
+    return db.find({ selector: { diet: 'carnivore' } }).then(function() {
+      mocks.done();
+    });
+  });
+
+  it('warns once per selector shape', function() {
+    var warnings = [];
+    var db = Cloudant({account: ME, password: PASSWORD, warnOnFullScan: function(warning) {
+      warnings.push(warning);
+    }}).db.use(DBNAME);
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_explain', { selector: { diet: 'carnivore' } })
+        .reply(200, explanation(ALL_DOCS, { diet: 'carnivore' }))
+        .post('/' + DBNAME + '/_find')
+        .times(2)
+        .reply(200, { docs: [] });
+
+    return db.find({ selector: { diet: 'carnivore' } }).then(later).then(function() {
+      assert.equal(warnings.length, 1);
+      assert.equal(warnings[0].db, DBNAME);
+      assert.deepEqual(warnings[0].selector, { diet: 'carnivore' });
+      assert.deepEqual(warnings[0].index, ALL_DOCS);
+      assert.ok(/not served by an index/.test(warnings[0].message));
+      // same shape, different value
+      return db.find({ selector: { diet: 'herbivore' } });
+    }).then(later).then(function() {
+      assert.equal(warnings.length, 1);
+      mocks.done();
+    });
+  });
+
+  it('does not warn about indexed queries', function() {
+    var warnings = [];
+    var db = Cloudant({account: ME, password: PASSWORD, warnOnFullScan: function(warning) {
+      warnings.push(warning);
+    }}).db.use(DBNAME);
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_explain')
+        .reply(200, explanation(BY_CLASS, { class: 'mammal' }))
+        .post('/' + DBNAME + '/_find')
+        .reply(200, { docs: [] });
+
+    return db.find({ selector: { class: 'mammal' } }).then(later).then(function() {
+      assert.equal(warnings.length, 0);
+      mocks.done();
+    });
+  });
+
+  it('explains the query again after a failure', function() {
+    var warnings = [];
+    var db = Cloudant({account: ME, password: PASSWORD, warnOnFullScan: function(warning) {
+      warnings.push(warning);
+    }}).db.use(DBNAME);
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_explain')
+        .reply(500, { error: 'unknown_error' })
+        .post('/' + DBNAME + '/_explain')
+        .reply(200, explanation(ALL_DOCS, { diet: 'omnivore' }))
+        .post('/' + DBNAME + '/_find')
+        .times(2)
+        .reply(200, { docs: [] });
+
+    return db.find({ selector: { diet: 'omnivore' } }).then(later).then(function() {
+      assert.equal(warnings.length, 0);
+      return db.find({ selector: { diet: 'omnivore' } });
+    }).then(later).then(function() {
+      assert.equal(warnings.length, 1);
+      mocks.done();
+    });
+  });
+
+  it('emits a process warning when enabled with true', function() {
+    if (typeof process.emitWarning !== 'function') {
+      return;
+    }
+    var warnings = [];
+    var onWarning = function(warning) {
+      warnings.push(warning);
+    };
+    process.on('warning', onWarning);
+
+    var db = Cloudant({account: ME, password: PASSWORD, warnOnFullScan: true}).db.use(DBNAME);
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_explain')
+        .reply(200, explanation(ALL_DOCS, { latin_name: 'Panthera leo' }))
+        .post('/' + DBNAME + '/_find')
+        .reply(200, { docs: [] });
+
+    return db.find({ selector: { latin_name: 'Panthera leo' } }).then(later).then(function() {
+      process.removeListener('warning', onWarning);
+      assert.equal(warnings.length, 1);
+      assert.equal(warnings[0].name, 'CloudantFullScanWarning');
+      mocks.done();
+    });
+  });
+});
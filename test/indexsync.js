@@ -0,0 +1,172 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const indexsync = require('../lib/indexsync.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const ALL_DOCS = { ddoc: null, name: '_all_docs', type: 'special', def: { fields: [{ _id: 'asc' }] } };
+
+const existing = [
+  ALL_DOCS,
+  { ddoc: '_design/animals', name: 'by-class', type: 'json', def: { fields: [{ class: 'asc' }] } },
+  { ddoc: '_design/animals', name: 'by-diet', type: 'json', def: { fields: [{ diet: 'asc' }] } },
+  { ddoc: '_design/animals', name: 'search', type: 'text',
+    def: { default_analyzer: 'keyword', default_field: {}, selector: {}, fields: [{ name: 'string' }], index_array_lengths: true } },
+  { ddoc: '_design/old', name: 'by-wiki', type: 'json', def: { fields: [{ wiki_page: 'asc' }] } }
+];
+
+const definitions = [
+  { ddoc: 'animals', name: 'by-class', index: { fields: ['class'] } },
+  { ddoc: 'animals', name: 'by-diet', index: { fields: [{ diet: 'desc' }] } },
+  { ddoc: 'animals', name: 'search', type: 'text', index: { fields: [{ name: 'name', type: 'string' }] } },
+  { name: 'by-latin-name', index: { fields: ['latin_name'] } }
+];
+
+const names = function(entries) {
+  return entries.map(function(entry) {
+    return entry.name;
+  });
+};
+
+describe('Cloudant Query index sync plan', function() {
+  it('diffs desired and existing indexes', function() {
+    var plan = indexsync(existing, definitions);
+    assert.deepEqual(names(plan.unchanged), ['by-class', 'search']);
+    assert.deepEqual(names(plan.update), ['by-diet']);
+    assert.deepEqual(names(plan.create), ['by-latin-name']);
+    assert.deepEqual(plan.delete, []);
+    assert.equal(plan.update[0].ddoc, '_design/animals');
+    assert.strictEqual(plan.update[0].definition, definitions[1]);
+  });
+
+  it('deletes obsolete indexes, apart from _all_docs, when pruning', function() {
+    var plan = indexsync(existing, definitions, { prune: true });
+    assert.deepEqual(plan.delete, [{ ddoc: '_design/old', name: 'by-wiki', type: 'json', definition: null }]);
+  });
+
+  it('matches on type and design document', function() {
+    var plan = indexsync(existing, [
+      { ddoc: '_design/other', name: 'by-class', index: { fields: ['class'] } },
+      { ddoc: 'animals', name: 'by-diet', type: 'text', index: { fields: [{ name: 'diet', type: 'string' }] } }
+    ]);
+    assert.deepEqual(names(plan.create), ['by-class', 'by-diet']);
+    assert.equal(plan.create[0].ddoc, '_design/other');
+  });
+
+  it('ignores the order of keys in definitions', function() {
+    var plan = indexsync([
+      { ddoc: '_design/animals', name: 'mammals', type: 'json',
+        def: { fields: [{ class: 'asc' }], partial_filter_selector: { class: 'mammal', diet: 'herbivore' } } }
+    ], [
+      { ddoc: 'animals', name: 'mammals',
+        index: { partial_filter_selector: { diet: 'herbivore', class: 'mammal' }, fields: ['class'] } }
+    ]);
+    assert.deepEqual(names(plan.unchanged), ['mammals']);
+    assert.deepEqual(plan.update, []);
+  });
+
+  it('replaces indexes which are partitioned when they should be global', function() {
+    var plan = indexsync([
+      { ddoc: '_design/animals', name: 'by-class', type: 'json', partitioned: true, def: { fields: [{ class: 'asc' }] } },
+      { ddoc: '_design/animals', name: 'by-diet', type: 'json', partitioned: false, def: { fields: [{ diet: 'asc' }] } }
+    ], [
+      { ddoc: 'animals', name: 'by-class', partitioned: false, index: { fields: ['class'] } },
+      { ddoc: 'animals', name: 'by-diet', partitioned: false, index: { fields: ['diet'] } }
+    ]);
+    assert.deepEqual(names(plan.update), ['by-class']);
+    assert.deepEqual(names(plan.unchanged), ['by-diet']);
+  });
+
+  it('requires index names', function() {
+    assert.throws(function() {
+      indexsync(existing, [{ index: { fields: ['class'] } }]);
+    }, /must specify a "name" value/);
+  });
+});
+
+describe('Cloudant Query index sync', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var db = Cloudant({account: ME, password: PASSWORD}).db.use(DBNAME);
+
+  it('returns the plan without making changes in dry-run mode', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_index')
+        .reply(200, { total_rows: existing.length, indexes: existing });
+
+    return db.index.sync(definitions, { prune: true, dryRun: true }).then(function(plan) {
+      assert.equal(plan.dryRun, true);
+      assert.deepEqual(names(plan.create), ['by-latin-name']);
+      assert.deepEqual(names(plan.update), ['by-diet']);
+      assert.deepEqual(names(plan.delete), ['by-wiki']);
+      mocks.done();
+    });
+  });
+
+  it('replaces changed indexes, creates new ones and prunes obsolete ones', function(done) {
+    var order = [];
+    var record = function(name) {
+      return function() {
+        order.push(name);
+        return [200, { result: 'ok' }];
+      };
+    };
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_index')
+        .reply(200, { total_rows: existing.length, indexes: existing })
+        .delete('/' + DBNAME + '/_index/animals/json/by-diet')
+        .reply(record('delete by-diet'))
+        .post('/' + DBNAME + '/_index', definitions[1])
+        .reply(record('create by-diet'))
+        .post('/' + DBNAME + '/_index', definitions[3])
+        .reply(record('create by-latin-name'))
+        .delete('/' + DBNAME + '/_index/old/json/by-wiki')
+        .reply(record('delete by-wiki'));
+
+    db.index.sync(definitions, { prune: true }, function(err, plan) {
+      assert.equal(err, null);
+      assert.equal(plan.dryRun, false);
+      assert.deepEqual(order, ['delete by-diet', 'create by-diet', 'create by-latin-name', 'delete by-wiki']);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('stops at the first failure', function() {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/_index')
+        .reply(200, { total_rows: 1, indexes: [ALL_DOCS] })
+        .post('/' + DBNAME + '/_index')
+        .reply(400, { error: 'invalid_index', reason: 'Invalid field name' });
+
+    return db.index.sync(definitions).then(function() {
+      assert.fail('index.sync should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 400);
+      mocks.done();
+    });
+  });
+});
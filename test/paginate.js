@@ -0,0 +1,185 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+const stream = require('stream');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const docs = function(ids) {
+  return ids.map(function(id) {
+    return { _id: id, class: 'mammal' };
+  });
+};
+
+describe('Cloudant Query findAll', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var db = Cloudant({account: ME, password: PASSWORD}).db.use(DBNAME);
+  var selector = { class: 'mammal' };
+
+  it('returns a readable object stream', function() {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find')
+        .reply(200, { docs: [], bookmark: 'nil' });
+
+    var s = db.findAll({ selector: selector });
+    assert.ok(s instanceof stream.Readable);
+    assert.ok(s._readableState.objectMode);
+    s.resume();
+    return new Promise(function(resolve) {
+      s.on('end', function() {
+        mocks.done();
+        resolve();
+      });
+    });
+  });
+
+  it('follows bookmarks until a page comes back short', function(done) {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 2 })
+        .reply(200, { docs: docs(['a', 'b']), bookmark: 'b1' })
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 2, bookmark: 'b1' })
+        .reply(200, { docs: docs(['c', 'd']), bookmark: 'b2' })
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 2, bookmark: 'b2' })
+        .reply(200, { docs: docs(['e']), bookmark: 'b3' });
+
+    var ids = [];
+    db.findAll({ selector: selector }, { pageSize: 2 })
+      .on('data', function(doc) {
+        ids.push(doc._id);
+      })
+      .on('end', function() {
+        assert.deepEqual(ids, ['a', 'b', 'c', 'd', 'e']);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('applies a limit across pages', function(done) {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 2 })
+        .reply(200, { docs: docs(['a', 'b']), bookmark: 'b1' })
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 1, bookmark: 'b1' })
+        .reply(200, { docs: docs(['c']), bookmark: 'b2' });
+
+    var ids = [];
+    db.findAll({ selector: selector }, { pageSize: 2, limit: 3 })
+      .on('data', function(doc) {
+        ids.push(doc._id);
+      })
+      .on('end', function() {
+        assert.deepEqual(ids, ['a', 'b', 'c']);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('treats the query limit as the limit across pages', function(done) {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 2 })
+        .reply(200, { docs: docs(['a', 'b']), bookmark: 'b1' })
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 1, bookmark: 'b1' })
+        .reply(200, { docs: docs(['c']), bookmark: 'b2' });
+
+    var ids = [];
+    db.findAll({ selector: selector, limit: 3 }, { pageSize: 2 })
+      .on('data', function(doc) {
+        ids.push(doc._id);
+      })
+      .on('end', function() {
+        assert.deepEqual(ids, ['a', 'b', 'c']);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('starts from the query bookmark', function(done) {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find', { selector: selector, limit: 2, bookmark: 'b1' })
+        .reply(200, { docs: docs(['c']), bookmark: 'b2' });
+
+    var ids = [];
+    db.findAll({ selector: selector, bookmark: 'b1' }, { pageSize: 2 })
+      .on('data', function(doc) {
+        ids.push(doc._id);
+      })
+      .on('end', function() {
+        assert.deepEqual(ids, ['c']);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('is an async iterator which stops when the consumer breaks out', function() {
+    if (typeof Symbol.asyncIterator === 'undefined') {
+      this.skip();
+    }
+    var requests = 0;
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find')
+        .times(2)
+        .reply(function() {
+          requests++;
+          return [200, { docs: docs(['a', 'b']), bookmark: 'b' + requests }];
+        });
+
+    var iterator = db.findAll({ selector: selector }, { pageSize: 2 })[Symbol.asyncIterator]();
+    return iterator.next().then(function(result) {
+      assert.equal(result.done, false);
+      assert.equal(result.value._id, 'a');
+      // equivalent to `break` in a `for await` loop
+      return iterator.return();
+    }).then(function(result) {
+      assert.equal(result.done, true);
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 100);
+      });
+    }).then(function() {
+      assert.equal(requests, 1);
+      assert.ok(!mocks.isDone());
+      nock.cleanAll();
+    });
+  });
+
+  it('emits an error if a page fails', function(done) {
+    var mocks = nock(SERVER)
+        .post('/' + DBNAME + '/_find')
+        .reply(200, { docs: docs(['a', 'b']), bookmark: 'b1' })
+        .post('/' + DBNAME + '/_find')
+        .reply(400, { error: 'invalid_operator', reason: 'Invalid operator: $equal' });
+
+    var ids = [];
+    db.findAll({ selector: selector }, { pageSize: 2 })
+      .on('data', function(doc) {
+        ids.push(doc._id);
+      })
+      .on('error', function(err) {
+        assert.deepEqual(ids, ['a', 'b']);
+        assert.equal(err.statusCode, 400);
+        mocks.done();
+        done();
+      });
+  });
+});
@@ -0,0 +1,222 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it afterEach */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'sensors';
+
+describe('Partitioned databases', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var cloudant = Cloudant({ account: ME, password: PASSWORD });
+
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  it('makes requests scoped to a partition', function() {
+    var mocks = nock(SERVER)
+        .get('/sensors/_partition/sensor-1')
+        .reply(200, { db_name: DBNAME, partition: 'sensor-1', doc_count: 2 })
+        .get('/sensors/_partition/sensor-1/_all_docs?startkey=%22sensor-1%3Aa%22&limit=10')
+        .reply(200, { rows: [] })
+        .post('/sensors/_partition/sensor-1/_all_docs', { keys: ['sensor-1:a'] })
+        .reply(200, { rows: [{ id: 'sensor-1:a' }] })
+        .post('/sensors/_partition/sensor-1/_find', { selector: { type: { $eq: 'reading' } }, limit: 5 })
+        .reply(200, { docs: [] })
+        .post('/sensors/_partition/sensor-1/_explain', { selector: { type: 'reading' } })
+        .reply(200, { index: { type: 'json' } })
+        .get('/sensors/_partition/sensor-1/_design/readings/_view/by-time?reduce=false')
+        .reply(200, { rows: [] })
+        .post('/sensors/_partition/sensor-1/_design/readings/_search/text', { q: 'type:reading' })
+        .reply(200, { total_rows: 0, rows: [] });
+
+    var p = cloudant.use(DBNAME).partition('sensor-1');
+    return p.info().then(function(info) {
+      assert.equal(info.doc_count, 2);
+      return p.list({ startkey: 'sensor-1:a', limit: 10 });
+    }).then(function() {
+      return p.list({ keys: ['sensor-1:a'] });
+    }).then(function(data) {
+      assert.equal(data.rows[0].id, 'sensor-1:a');
+      return p.find(cloudant.use(DBNAME).query().where('type').eq('reading').limit(5));
+    }).then(function() {
+      return p.explain({ selector: { type: 'reading' } });
+    }).then(function() {
+      return p.view('readings', 'by-time', { reduce: false });
+    }).then(function() {
+      return p.search('readings', 'text', 'type:reading');
+    }).then(function() {
+      mocks.done();
+    });
+  });
+
+  it('takes callbacks', function(done) {
+    var mocks = nock(SERVER)
+        .get('/sensors/_partition/sensor%2F2/_all_docs')
+        .reply(200, { rows: [] });
+
+    cloudant.use(DBNAME).partition('sensor/2').list(function(err, data) {
+      assert.equal(err, null);
+      assert.deepEqual(data.rows, []);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('rejects invalid partition keys', function() {
+    var db = cloudant.use(DBNAME);
+    [undefined, '', '_design', 'a:b'].forEach(function(key) {
+      assert.throws(function() {
+        db.partition(key);
+      }, Cloudant.errors.CloudantError);
+    });
+  });
+
+  it('creates partitioned databases and checks their document ids', function(done) {
+    var mocks = nock(SERVER)
+        .put('/sensors?partitioned=true')
+        .reply(201, { ok: true })
+        .put('/sensors/sensor-1%3Aa', { value: 1 })
+        .reply(201, { ok: true, id: 'sensor-1:a', rev: '1-123' })
+        .post('/sensors/_bulk_docs', { docs: [{ _id: 'sensor-1:b' }, { _id: '_design/readings' }] })
+        .reply(201, []);
+
+    var db = null;
+    new Promise(function(resolve, reject) {
+      cloudant.db.create(DBNAME, { partitioned: true }, function(err) {
+        return err ? reject(err) : resolve();
+      });
+    }).then(function() {
+      db = cloudant.use(DBNAME);
+      return db.insert({ _id: 'a' }).then(function() {
+        assert.fail('insert() should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Cloudant.errors.CloudantError);
+        assert.equal(err.message, 'Document id a must have the form partition:docid');
+      });
+    }).then(function() {
+      db.insert({ value: 1 }, function(err) {
+        assert.ok(/must have an id of the form partition:docid/.test(err.message));
+        db.bulk({ docs: [{ _id: '_x:a' }] }, {}, function(err) {
+          assert.ok(/must not start with an underscore/.test(err.message));
+          db.insert({ value: 1 }, 'sensor-1:a', function(err) {
+            assert.equal(err, null);
+            db.bulk({ docs: [{ _id: 'sensor-1:b' }, { _id: '_design/readings' }] }, function(err) {
+              assert.equal(err, null);
+              mocks.done();
+              done();
+            });
+          });
+        });
+      });
+    }).catch(done);
+  });
+
+  it('returns the same kind of result from create() with and without options', function(done) {
+    var mocks = nock(SERVER)
+        .put('/plain')
+        .reply(201, { ok: true })
+        .put('/sensors?partitioned=true')
+        .reply(201, { ok: true });
+
+    var plain = cloudant.db.create('plain');
+    var partitioned = cloudant.db.create(DBNAME, { partitioned: true });
+    assert.equal(typeof plain.pipe, 'function');
+    assert.equal(typeof partitioned.pipe, 'function');
+    var ended = 0;
+    [plain, partitioned].forEach(function(s) {
+      s.on('end', function() {
+        if (++ended === 2) {
+          mocks.done();
+          done();
+        }
+      }).resume();
+    });
+  });
+
+  it('checks partition queries for full scans', function() {
+    var warnings = [];
+    var db = Cloudant({ account: ME, password: PASSWORD, warnOnFullScan: function(warning) {
+      warnings.push(warning);
+    }}).use(DBNAME);
+    var mocks = nock(SERVER)
+        .post('/sensors/_partition/sensor-1/_explain', { selector: { value: { $gt: 20 } } })
+        .reply(200, { index: { ddoc: null, name: '_all_docs', type: 'special', def: { fields: [{ _id: 'asc' }] } } })
+        .post('/sensors/_partition/sensor-1/_find', { selector: { value: { $gt: 20 } } })
+        .reply(200, { docs: [] });
+
+    return db.partition('sensor-1').find({ selector: { value: { $gt: 20 } } }).then(function() {
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 50);
+      });
+    }).then(function() {
+      assert.equal(warnings.length, 1);
+      assert.equal(warnings[0].db, DBNAME + '/_partition');
+      mocks.done();
+    });
+  });
+
+  it('checks the document ids of databases used as partitioned ones', function(done) {
+    var db = Cloudant({ account: ME, password: PASSWORD }).use('other', { partitioned: true });
+    db.insert({ _id: 'a:' }, function(err) {
+      assert.ok(err instanceof Cloudant.errors.CloudantError);
+      done();
+    });
+  });
+
+  it('rejects the bulkWriter() writes of documents with invalid ids', function() {
+    var mocks = nock(SERVER)
+        .post('/other/_bulk_docs', { docs: [{ _id: 'sensor-1:a' }] })
+        .reply(201, [{ ok: true, id: 'sensor-1:a', rev: '1-123' }]);
+
+    var writer = Cloudant({ account: ME, password: PASSWORD }).use('other', { partitioned: true }).bulkWriter();
+    var good = writer.write({ _id: 'sensor-1:a' });
+    var bad = writer.write({ _id: 'a' }).then(function() {
+      assert.fail('the write should have failed');
+    }, function(err) {
+      assert.ok(err instanceof Cloudant.errors.BadRequestError);
+      assert.equal(err.message, 'Document id a must have the form partition:docid');
+    });
+    return Promise.all([good, bad, writer.end()]).then(function(results) {
+      assert.equal(results[0].rev, '1-123');
+      assert.deepEqual(results[2], { written: 1, failed: 1 });
+      mocks.done();
+    });
+  });
+
+  it('creates global indexes', function() {
+    var mocks = nock(SERVER)
+        .post('/sensors/_index', { index: { fields: ['type'] }, name: 'by-type', partitioned: false })
+        .reply(200, { result: 'created' });
+
+    var db = cloudant.use(DBNAME);
+    assert.throws(function() {
+      db.index({ index: { fields: ['type'] }, partitioned: 'no' });
+    }, /"partitioned" must be true or false/);
+    return db.index({ index: { fields: ['type'] }, name: 'by-type', partitioned: false }).then(function() {
+      mocks.done();
+    });
+  });
+});
@@ -303,3 +303,86 @@ describe('cookieauth plugin', function() {
     });
   });
 });
+
+describe('plugin pipeline', function() {
+  before(onBefore);
+  after(onAfter);
+
+  it('should combine plugins into a single request pipeline', function(done) {
+    if (process.env.NOCK_OFF) {
+      this.skip();
+    }
+    var mocks = nock(SERVER)
+        .post('/_session', {name: ME, password: PASSWORD}).reply(200, { ok: true }, { 'Set-Cookie': 'AuthSession=xyz; Version=1; Path=/; HttpOnly' })
+        .get('/' + dbName + '/mydoc').reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'})
+        .get('/' + dbName + '/mydoc').reply(200, { _id: 'mydoc', _rev: '1-123', ok: true });
+    var cloudant = Cloudant({plugin: ['cookieauth', 'retry', 'promises'], account: ME, password: PASSWORD});
+    var db = cloudant.db.use(dbName);
+    var p = db.get('mydoc').then(function(data) {
+      data.should.be.an.Object;
+      data._id.should.equal('mydoc');
+      mocks.done();
+      done();
+    }).catch(done);
+    assert.equal(p instanceof Promise, true);
+  });
+
+  it('should stream through a pipeline', function(done) {
+    if (process.env.NOCK_OFF) {
+      this.skip();
+    }
+    var mocks = nock(SERVER)
+        .post('/_session', {name: ME, password: PASSWORD}).reply(200, { ok: true }, { 'Set-Cookie': 'AuthSession=xyz; Version=1; Path=/; HttpOnly' })
+        .get('/' + dbName + '/mydoc').reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'})
+        .get('/' + dbName + '/mydoc').reply(200, { _id: 'mydoc', _rev: '1-123', ok: true });
+    var cloudant = Cloudant({plugin: ['cookieauth', 'retry'], account: ME, password: PASSWORD});
+    var db = cloudant.db.use(dbName);
+    var responseCount = 0;
+    var body = '';
+    db.get('mydoc')
+      .on('response', function(r) {
+        responseCount++;
+        r.statusCode.should.equal(200);
+      })
+      .pipe(new stream.Writable({
+        write: function(chunk, encoding, cb) {
+          body += chunk;
+          cb();
+        }
+      }))
+      .on('finish', function() {
+        responseCount.should.equal(1);
+        JSON.parse(body)._id.should.equal('mydoc');
+        mocks.done();
+        done();
+      });
+  });
+
+  it('should call middleware functions in order', function(done) {
+    var calls = [];
+    var middleware = function(name) {
+      return function(req, callback, next) {
+        calls.push(name);
+        return next(req, callback);
+      };
+    };
+    var terminal = function(req, callback, next) {
+      calls.push('terminal');
+      callback(null, { statusCode: 200 }, { ok: true });
+    };
+    var cloudant = Cloudant({plugin: [terminal, middleware('inner'), middleware('outer')], account: ME, password: PASSWORD});
+    var db = cloudant.db.use(dbName);
+    db.info(function(err, data) {
+      assert.equal(err, null);
+      data.ok.should.equal(true);
+      calls.should.eql(['outer', 'inner', 'terminal']);
+      done();
+    });
+  });
+
+  it('should only allow the promises plugin last', function() {
+    (function() {
+      Cloudant({plugin: ['promises', 'retry'], account: ME, password: PASSWORD});
+    }).should.throw(/promises/);
+  });
+});
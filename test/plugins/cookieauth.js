@@ -0,0 +1,292 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Client = require('../../plugins/cookieauth.js');
+const Cloudant = require('../../cloudant.js');
+const nock = require('../nock.js');
+const stream = require('stream');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const SERVER_WITH_CREDS = 'https://' + ME + ':' + PASSWORD + '@' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+const session = function(cookie) {
+  return [200, { ok: true, name: ME, roles: [] }, { 'Set-Cookie': 'AuthSession=' + cookie + '; Version=1; Path=/; HttpOnly' }];
+};
+
+const EXPIRED = { error: 'unauthorized', reason: 'Session has expired' };
+
+describe('Cookieauth Plugin', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  it('logs in again and replays the request when the session has expired', function(done) {
+    var sessions = nock(SERVER)
+        .post('/_session', { name: ME, password: PASSWORD })
+        .reply(function() { return session('first'); })
+        .post('/_session', { name: ME, password: PASSWORD })
+        .reply(function() { return session('second'); });
+    var first = nock(SERVER, { reqheaders: { cookie: 'AuthSession=first' } })
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra' })
+        .get('/' + DBNAME + '/zebra')
+        .reply(401, EXPIRED);
+    var second = nock(SERVER, { reqheaders: { cookie: 'AuthSession=second' } })
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra' });
+
+    var db = Cloudant({ plugin: 'cookieauth', account: ME, password: PASSWORD }).db.use(DBNAME);
+    db.get('zebra', function(err) {
+      assert.equal(err, null);
+      db.get('zebra', function(err, doc) {
+        assert.equal(err, null);
+        assert.equal(doc._id, 'zebra');
+        sessions.done();
+        first.done();
+        second.done();
+        done();
+      });
+    });
+  });
+
+  it('only logs in again once', function(done) {
+    var sessions = nock(SERVER)
+        .post('/_session')
+        .reply(function() { return session('first'); })
+        .post('/_session')
+        .reply(function() { return session('second'); });
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra' })
+        .get('/' + DBNAME + '/zebra')
+        .times(2)
+        .reply(403, { error: 'forbidden', reason: 'You are not allowed to access this db.' });
+
+    var db = Cloudant({ plugin: 'cookieauth', account: ME, password: PASSWORD }).db.use(DBNAME);
+    db.get('zebra', function(err) {
+      assert.equal(err, null);
+      db.get('zebra', function(err) {
+        assert.equal(err.statusCode, 403);
+        sessions.done();
+        mocks.done();
+        done();
+      });
+    });
+  });
+
+  it('replies with the POST /_session response if logging in again fails', function(done) {
+    var sessions = nock(SERVER)
+        .post('/_session')
+        .reply(function() { return session('first'); })
+        .post('/_session')
+        .reply(401, { error: 'unauthorized', reason: 'Name or password is incorrect.' });
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(200, { _id: 'zebra' })
+        .get('/' + DBNAME + '/zebra')
+        .reply(401, EXPIRED);
+
+    var db = Cloudant({ plugin: 'cookieauth', account: ME, password: PASSWORD }).db.use(DBNAME);
+    db.get('zebra', function(err) {
+      assert.equal(err, null);
+      db.get('zebra', function(err) {
+        assert.equal(err.statusCode, 401);
+        assert.equal(err.reason, 'Name or password is incorrect.');
+        sessions.done();
+        mocks.done();
+        done();
+      });
+    });
+  });
+
+  it('shares a single login between concurrent requests', function(done) {
+    var sessions = nock(SERVER)
+        .post('/_session')
+        .reply(function() { return session('first'); });
+    var mocks = nock(SERVER, { reqheaders: { cookie: 'AuthSession=first' } })
+        .get('/' + DBNAME + '/zebra')
+        .times(3)
+        .reply(200, { _id: 'zebra' });
+
+    var db = Cloudant({ plugin: 'cookieauth', account: ME, password: PASSWORD }).db.use(DBNAME);
+    var remaining = 3;
+    var check = function(err) {
+      assert.equal(err, null);
+      if (--remaining === 0) {
+        sessions.done();
+        mocks.done();
+        done();
+      }
+    };
+    db.get('zebra', check);
+    db.get('zebra', check);
+    db.get('zebra', check);
+  });
+
+  it('shares a single login between requests rejected at the same time', function(done) {
+    var sessions = nock(SERVER)
+        .post('/_session')
+        .reply(function() { return session('first'); })
+        .post('/_session')
+        .reply(function() { return session('second'); });
+    var first = nock(SERVER, { reqheaders: { cookie: 'AuthSession=first' } })
+        .get('/' + DBNAME)
+        .reply(200, { db_name: DBNAME })
+        .get('/' + DBNAME + '/zebra')
+        .times(3)
+        .reply(401, EXPIRED);
+    var second = nock(SERVER, { reqheaders: { cookie: 'AuthSession=second' } })
+        .get('/' + DBNAME + '/zebra')
+        .times(3)
+        .reply(200, { _id: 'zebra' });
+
+    var db = Cloudant({ plugin: 'cookieauth', account: ME, password: PASSWORD }).db.use(DBNAME);
+    db.info(function(err) {
+      assert.equal(err, null);
+      var remaining = 3;
+      var check = function(err) {
+        assert.equal(err, null);
+        if (--remaining === 0) {
+          sessions.done();
+          first.done();
+          second.done();
+          done();
+        }
+      };
+      db.get('zebra', check);
+      db.get('zebra', check);
+      db.get('zebra', check);
+    });
+  });
+
+  it('replays a request body streamed into it', function(done) {
+    var bodies = [];
+    var sessions = nock(SERVER)
+        .post('/_session')
+        .reply(function() { return session('first'); })
+        .post('/_session')
+        .reply(function() { return session('second'); });
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME)
+        .reply(200, { db_name: DBNAME })
+        .put('/' + DBNAME + '/zebra/photo.jpg')
+        .reply(function(uri, body) {
+          bodies.push(body);
+          return [401, EXPIRED];
+        })
+        .put('/' + DBNAME + '/zebra/photo.jpg')
+        .reply(function(uri, body) {
+          bodies.push(body);
+          return [201, { ok: true, id: 'zebra', rev: '1-123' }];
+        });
+
+    var db = Cloudant({ plugin: 'cookieauth', account: ME, password: PASSWORD }).db.use(DBNAME);
+    db.info(function(err) {
+      assert.equal(err, null);
+      var source = new stream.PassThrough();
+      var upload = db.attachment.insert('zebra', 'photo.jpg', null, 'image/jpeg');
+      source.pipe(upload);
+      source.write('black and ');
+      source.end('white');
+
+      var statusCode = null;
+      var data = '';
+      upload.on('response', function(response) {
+        statusCode = response.statusCode;
+      }).on('data', function(chunk) {
+        data += chunk;
+      }).on('end', function() {
+        assert.equal(statusCode, 201);
+        assert.equal(JSON.parse(data).ok, true);
+        assert.deepEqual(bodies, ['black and white', 'black and white']);
+        sessions.done();
+        mocks.done();
+        done();
+      });
+    });
+  });
+
+  it('does not log in again without credentials', function(done) {
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME + '/zebra')
+        .reply(401, EXPIRED);
+
+    var cookieClient = Client({});
+    cookieClient({ url: SERVER + '/' + DBNAME + '/zebra', method: 'GET' }, function(err, resp) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 401);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('forgets the session cookie on logout', function(done) {
+    var sessions = nock(SERVER)
+        .post('/_session')
+        .reply(function() { return session('first'); })
+        .post('/_session')
+        .reply(function() { return session('second'); });
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME)
+        .times(2)
+        .reply(200, { db_name: DBNAME });
+
+    var cookieClient = Client({});
+    var req = function() {
+      return { url: SERVER_WITH_CREDS + '/' + DBNAME, method: 'GET' };
+    };
+    cookieClient(req(), function(err) {
+      assert.equal(err, null);
+      cookieClient.logout();
+      cookieClient(req(), function(err) {
+        assert.equal(err, null);
+        sessions.done();
+        mocks.done();
+        cookieClient.logout();
+        done();
+      });
+    });
+  });
+
+  it('is exposed as client.logout()', function(done) {
+    var sessions = nock(SERVER)
+        .post('/_session')
+        .times(2)
+        .reply(function() { return session('first'); });
+    var mocks = nock(SERVER)
+        .get('/' + DBNAME)
+        .times(2)
+        .reply(200, { db_name: DBNAME });
+
+    var cloudant = Cloudant({ plugin: ['cookieauth', 'retry'], account: ME, password: PASSWORD });
+    cloudant.db.get(DBNAME, function(err) {
+      assert.equal(err, null);
+      cloudant.logout();
+      cloudant.db.get(DBNAME, function(err) {
+        assert.equal(err, null);
+        sessions.done();
+        mocks.done();
+        cloudant.logout();
+        done();
+      });
+    });
+  });
+});
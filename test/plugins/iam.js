@@ -0,0 +1,241 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Client = require('../../plugins/iam.js');
+const Cloudant = require('../../cloudant.js');
+const nock = require('../nock.js');
+const stream = require('stream');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const IAM_SERVER = 'https://iam.example.com';
+const IAM_API_KEY = 'CqbrIYzdO3btWV-5t4teJLY_etfT_dkccooCGjWWvtqA';
+const IAM_TOKEN_URL = IAM_SERVER + '/identity/token';
+
+const tokenResponse = function(token) {
+  return {
+    access_token: token,
+    refresh_token: 'refresh',
+    token_type: 'Bearer',
+    expires_in: 3600,
+    expiration: Math.floor(Date.now() / 1000) + 3600
+  };
+};
+
+describe('IAM Plugin', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  it('requires an API key', function() {
+    assert.throws(function() {
+      Client({});
+    }, /iamApiKey/);
+  });
+
+  it('exchanges the API key for a token before making the request', function(done) {
+    var iamMocks = nock(IAM_SERVER)
+        .post('/identity/token', {
+          grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
+          response_type: 'cloud_iam',
+          apikey: IAM_API_KEY
+        })
+        .reply(200, tokenResponse('token1'));
+    var mocks = nock(SERVER, { reqheaders: { authorization: 'Bearer token1' } })
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = Client({ iamApiKey: IAM_API_KEY, iamTokenUrl: IAM_TOKEN_URL });
+    var req = { url: SERVER + '/foo', method: 'GET' };
+    cloudantClient(req, function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+      assert.ok(data.indexOf('"doc_count":0') > -1);
+      iamMocks.done();
+      mocks.done();
+      done();
+    });
+  });
+
+  it('caches the token across requests', function(done) {
+    var iamMocks = nock(IAM_SERVER)
+        .post('/identity/token')
+        .reply(200, tokenResponse('token1'));
+    var mocks = nock(SERVER, { reqheaders: { authorization: 'Bearer token1' } })
+        .get('/foo').times(3)
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = Client({ iamApiKey: IAM_API_KEY, iamTokenUrl: IAM_TOKEN_URL });
+    var req = function() {
+      return { url: SERVER + '/foo', method: 'GET' };
+    };
+    var count = 0;
+    var cb = function(err, resp) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+      if (++count === 3) {
+        iamMocks.done();
+        mocks.done();
+        done();
+      }
+    };
+    // concurrent requests share a single token request
+    cloudantClient(req(), cb);
+    cloudantClient(req(), function(err, resp) {
+      cb(err, resp);
+      cloudantClient(req(), cb);
+    });
+  });
+
+  it('refreshes the token once it is close to expiry', function(done) {
+    var expiring = tokenResponse('token1');
+    expiring.expires_in = 0;
+    var iamMocks = nock(IAM_SERVER)
+        .post('/identity/token')
+        .reply(200, expiring)
+        .post('/identity/token')
+        .reply(200, tokenResponse('token2'));
+    var mocks = nock(SERVER, { reqheaders: { authorization: 'Bearer token1' } })
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+    var refreshedMocks = nock(SERVER, { reqheaders: { authorization: 'Bearer token2' } })
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = Client({ iamApiKey: IAM_API_KEY, iamTokenUrl: IAM_TOKEN_URL });
+    cloudantClient({ url: SERVER + '/foo', method: 'GET' }, function(err, resp) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+      cloudantClient({ url: SERVER + '/foo', method: 'GET' }, function(err, resp) {
+        assert.equal(err, null);
+        assert.equal(resp.statusCode, 200);
+        iamMocks.done();
+        mocks.done();
+        refreshedMocks.done();
+        done();
+      });
+    });
+  });
+
+  it('gets a new token and retries once on a 401 response', function(done) {
+    var iamMocks = nock(IAM_SERVER)
+        .post('/identity/token')
+        .reply(200, tokenResponse('token1'))
+        .post('/identity/token')
+        .reply(200, tokenResponse('token2'));
+    var mocks = nock(SERVER, { reqheaders: { authorization: 'Bearer token1' } })
+        .get('/foo')
+        .reply(401, {error: 'unauthorized', reason: 'Token expired.'});
+    var refreshedMocks = nock(SERVER, { reqheaders: { authorization: 'Bearer token2' } })
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = Client({ iamApiKey: IAM_API_KEY, iamTokenUrl: IAM_TOKEN_URL });
+    var responseCount = 0;
+    var dataCount = 0;
+    cloudantClient({ url: SERVER + '/foo', method: 'GET' }, function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+      assert.ok(data.indexOf('"doc_count":0') > -1);
+    })
+      .on('response', function(resp) {
+        responseCount++;
+        assert.equal(resp.statusCode, 200);
+      })
+      .on('data', function(data) {
+        dataCount++;
+        assert.ok(data.toString('utf8').indexOf('"doc_count":0') > -1);
+      })
+      .on('end', function() {
+        assert.equal(responseCount, 1);
+        assert.equal(dataCount, 1);
+        iamMocks.done();
+        mocks.done();
+        refreshedMocks.done();
+        done();
+      });
+  });
+
+  it('returns the 401 response if the new token is also rejected', function(done) {
+    var iamMocks = nock(IAM_SERVER)
+        .post('/identity/token').times(2)
+        .reply(200, tokenResponse('token1'));
+    var mocks = nock(SERVER)
+        .get('/foo').times(2)
+        .reply(401, {error: 'unauthorized', reason: 'Access denied.'});
+
+    var cloudantClient = Client({ iamApiKey: IAM_API_KEY, iamTokenUrl: IAM_TOKEN_URL });
+    cloudantClient({ url: SERVER + '/foo', method: 'GET' }, function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 401);
+      assert.ok(data.indexOf('"error":"unauthorized"') > -1);
+      iamMocks.done();
+      mocks.done();
+      done();
+    });
+  });
+
+  it('returns an error if the token request fails', function(done) {
+    var iamMocks = nock(IAM_SERVER)
+        .post('/identity/token')
+        .reply(400, {errorCode: 'BXNIM0415E', errorMessage: 'Provided API key could not be found'});
+
+    var cloudantClient = Client({ iamApiKey: IAM_API_KEY, iamTokenUrl: IAM_TOKEN_URL });
+    var errorCount = 0;
+    cloudantClient({ url: SERVER + '/foo', method: 'GET' }, function(err, resp, data) {
+      assert.equal(err.statusCode, 400);
+      assert.ok(err.message.indexOf('Provided API key could not be found') > -1);
+    })
+      .on('error', function(err) {
+        errorCount++;
+        assert.equal(err.statusCode, 400);
+      })
+      .on('data', function(data) {
+        assert.fail('Unexpected data from server');
+      })
+      .on('end', function() {
+        assert.equal(errorCount, 1);
+        iamMocks.done();
+        done();
+      });
+  });
+
+  it('works end to end through the Cloudant initializer', function(done) {
+    var iamMocks = nock(IAM_SERVER)
+        .post('/identity/token')
+        .reply(200, tokenResponse('token1'));
+    var mocks = nock(SERVER, { reqheaders: { authorization: 'Bearer token1' } })
+        .get('/_session').reply(200, {ok: true, userCtx: {name: 'iam-ServiceId-123', roles: []}})
+        .get('/').reply(200, {couchdb: 'Welcome', version: '2.0.0'})
+        .get('/animaldb/dog').reply(200, {_id: 'dog', _rev: '1-123'});
+
+    var opts = {account: ME, iamApiKey: IAM_API_KEY, iamTokenUrl: IAM_TOKEN_URL, plugin: 'iam'};
+    Cloudant(opts, function(err, cloudant, pong) {
+      assert.equal(err, null);
+      assert.equal(pong.userCtx.name, 'iam-ServiceId-123');
+      var p = cloudant.db.use('animaldb').get('dog', function(err, data) {
+        assert.equal(err, null);
+        assert.equal(data._id, 'dog');
+        iamMocks.done();
+        mocks.done();
+        done();
+      });
+      assert.ok(p instanceof stream.PassThrough);
+    });
+  });
+});
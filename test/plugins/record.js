@@ -0,0 +1,132 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it before after afterEach */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../../cloudant.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const testing = require('../../testing.js');
+
+const ME = 'nodejs';
+const PASSWORD = 'sjedon';
+const CASSETTE = path.join(os.tmpdir(), 'nodejs-cloudant-record-' + process.pid + '.json');
+
+describe('Record Plugin', function() {
+  var fake = null;
+
+  before(function() {
+    return testing.start({ username: ME, password: PASSWORD }).then(function(f) {
+      fake = f;
+    });
+  });
+
+  afterEach(function() {
+    fake.reset();
+    if (fs.existsSync(CASSETTE)) {
+      fs.unlinkSync(CASSETTE);
+    }
+  });
+
+  after(function() {
+    return fake.close();
+  });
+
+  it('must be given a cassette', function() {
+    assert.throws(function() {
+      Cloudant({ url: fake.url, plugin: 'record' });
+    }, /cassette/);
+  });
+
+  it('saves every open recorder from a single exit listener', function() {
+    var listeners = process.listenerCount('exit');
+    var clients = [1, 2, 3].map(function() {
+      return Cloudant({ url: fake.url, plugin: 'record', cassette: CASSETTE });
+    });
+    assert.equal(process.listenerCount('exit'), listeners + 1);
+    return Promise.all(clients.map(function(cloudant) {
+      return cloudant.close();
+    })).then(function() {
+      assert.equal(process.listenerCount('exit'), listeners);
+    });
+  });
+
+  it('records requests and responses without credentials', function(done) {
+    var cloudant = Cloudant({ url: fake.url, plugin: 'record', cassette: CASSETTE });
+    cloudant.db.create('animaldb', function(err) {
+      assert.equal(err, null);
+      var db = cloudant.db.use('animaldb');
+      db.insert({ _id: 'zebra', legs: 4, class: 'mammal' }, function(err) {
+        assert.equal(err, null);
+        db.list({ startkey: 'a', include_docs: true }, function(err) {
+          assert.equal(err, null);
+          cloudant.close(function(err) {
+            assert.equal(err, null);
+            check();
+          });
+        });
+      });
+    });
+
+    var check = function() {
+      var text = fs.readFileSync(CASSETTE, 'utf8');
+      assert.equal(text.indexOf(PASSWORD), -1);
+      var recorded = JSON.parse(text);
+      assert.equal(recorded.version, 1);
+      assert.deepEqual(recorded.interactions.map(function(i) {
+        return i.request.method + ' ' + i.request.path;
+      }), ['PUT /animaldb', 'POST /animaldb', 'GET /animaldb/_all_docs']);
+      // bodies are parsed and their keys sorted
+      assert.deepEqual(Object.keys(recorded.interactions[1].request.body), ['_id', 'class', 'legs']);
+      assert.deepEqual(recorded.interactions[2].request.query, { include_docs: 'true', startkey: '"a"' });
+      var response = recorded.interactions[2].response;
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(response.headers, { 'content-type': 'application/json' });
+      assert.equal(response.body.rows[0].doc.legs, 4);
+      done();
+    };
+  });
+
+  it('records streamed responses and redacts session credentials', function(done) {
+    var cloudant = Cloudant({ url: fake.url, plugin: ['record', 'cookieauth'], cassette: CASSETTE });
+    cloudant.db.create('animaldb', function(err) {
+      assert.equal(err, null);
+      cloudant.db.use('animaldb').list()
+        .on('error', done)
+        .on('end', function() {
+          // the cassette is only written when it's saved
+          assert.ok(!fs.existsSync(CASSETTE));
+          cloudant.close().then(function() {
+            check();
+          }).catch(done);
+        })
+        .resume();
+    });
+
+    var check = function() {
+      var recorded = JSON.parse(fs.readFileSync(CASSETTE, 'utf8'));
+      var session = recorded.interactions[0];
+      assert.equal(session.request.path, '/_session');
+      assert.deepEqual(session.request.body, { name: ME, password: '******' });
+      assert.ok(/^AuthSession=\*{6};/.test(session.response.headers['set-cookie'][0]));
+      var list = recorded.interactions[recorded.interactions.length - 1];
+      assert.equal(list.request.path, '/animaldb/_all_docs');
+      assert.equal(list.response.body.total_rows, 0);
+      done();
+    };
+  });
+});
@@ -0,0 +1,123 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it before after */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../../cloudant.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const testing = require('../../testing.js');
+
+const CASSETTE = path.join(os.tmpdir(), 'nodejs-cloudant-replay-' + process.pid + '.json');
+
+describe('Replay Plugin', function() {
+  var url = null;
+
+  // record a cassette against the fake server, then shut it down
+  before(function() {
+    return testing.start().then(function(fake) {
+      url = fake.url;
+      var cloudant = Cloudant({ url: url, plugin: ['record', 'promises'], cassette: CASSETTE });
+      var db = cloudant.db.use('animaldb');
+      return cloudant.db.create('animaldb').then(function() {
+        return db.get('zebra').catch(function() {});
+      }).then(function() {
+        return db.insert({ _id: 'zebra', legs: 4 });
+      }).then(function() {
+        return db.get('zebra');
+      }).then(function() {
+        return cloudant.close();
+      }).then(function() {
+        return fake.close();
+      });
+    });
+  });
+
+  after(function() {
+    fs.unlinkSync(CASSETTE);
+  });
+
+  it('replays the recorded responses in order', function() {
+    var cloudant = Cloudant({ url: url, plugin: ['replay', 'promises'], cassette: CASSETTE });
+    var db = cloudant.db.use('animaldb');
+    return cloudant.db.create('animaldb').then(function() {
+      return db.get('zebra');
+    }).then(function() {
+      assert.fail('should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 404);
+      assert.ok(err instanceof Cloudant.errors.NotFoundError);
+      return db.insert({ _id: 'zebra', legs: 4 });
+    }).then(function(data) {
+      assert.equal(data.id, 'zebra');
+      return db.get('zebra');
+    }).then(function(doc) {
+      assert.equal(doc.legs, 4);
+      return cloudant.close();
+    });
+  });
+
+  it('fails requests which weren\'t recorded', function(done) {
+    var cloudant = Cloudant({ url: url, plugin: 'replay', cassette: CASSETTE });
+    var db = cloudant.db.use('animaldb');
+    db.insert({ _id: 'zebra', legs: 3 }, function(err) {
+      assert.equal(err.code, 'ERR_NO_RECORDING');
+      assert.equal(err.message, 'No recorded response for POST /animaldb');
+      db.get('zebra', function(err, doc) {
+        assert.equal(err.statusCode, 404);
+        db.get('zebra', function(err, doc) {
+          assert.equal(err, null);
+          assert.equal(doc.legs, 4);
+          db.get('zebra', function(err) {
+            // each response is only replayed once
+            assert.equal(err.code, 'ERR_NO_RECORDING');
+            cloudant.close(done);
+          });
+        });
+      });
+    });
+  });
+
+  it('replays streamed responses', function(done) {
+    var cloudant = Cloudant({ url: url, plugin: 'replay', cassette: CASSETTE });
+    var db = cloudant.db.use('animaldb');
+    var get = function(callback) {
+      var status = null;
+      var chunks = [];
+      db.get('zebra')
+        .on('error', done)
+        .on('response', function(response) {
+          status = response.statusCode;
+        })
+        .on('data', function(chunk) {
+          chunks.push(chunk);
+        })
+        .on('end', function() {
+          callback(status, JSON.parse(Buffer.concat(chunks).toString()));
+        });
+    };
+    get(function(status, body) {
+      assert.equal(status, 404);
+      assert.equal(body.error, 'not_found');
+      get(function(status, body) {
+        assert.equal(status, 200);
+        assert.equal(body.legs, 4);
+        cloudant.close(done);
+      });
+    });
+  });
+});
@@ -723,3 +723,240 @@ describe('Retry429 Plugin', function() {
     });
   });
 });
+
+describe('Retry Plugin policies', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var req = function(method) {
+    return {
+      url: SERVER + '/foo',
+      auth: { username: ME, password: PASSWORD },
+      method: method || 'GET'
+    };
+  };
+
+  it('rejects an unknown jitter strategy', function() {
+    assert.throws(function() {
+      Client({ retryJitter: 'random' });
+    }, /retryJitter/);
+  });
+
+  it('retries configured status codes', function(done) {
+    var mocks = nock(SERVER)
+        .get('/foo')
+        .reply(502, {error: 'bad_gateway'})
+        .get('/foo')
+        .reply(503, {error: 'service_unavailable'})
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = new Client({
+      retryTimeout: 10,
+      retryStatusCodes: [429, 502, 503, 504]
+    });
+    cloudantClient(req(), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('does not retry status codes which are not configured', function(done) {
+    var mocks = nock(SERVER)
+        .get('/foo')
+        .reply(503, {error: 'service_unavailable'});
+
+    var cloudantClient = new Client({ retryTimeout: 10 });
+    cloudantClient(req(), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 503);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('retries transient network errors', function(done) {
+    var mocks = nock(SERVER)
+        .get('/foo')
+        .replyWithError({code: 'ECONNRESET', message: 'socket hang up'})
+        .get('/foo')
+        .replyWithError({code: 'ETIMEDOUT', message: 'connect ETIMEDOUT'})
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = new Client({ retryTimeout: 10, retryErrors: true });
+    var errorCount = 0;
+    cloudantClient(req(), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+    })
+      .on('error', function(err) {
+        errorCount++;
+      })
+      .on('data', function(data) {
+        assert.ok(data.toString('utf8').indexOf('"doc_count":0') > -1);
+      })
+      .on('end', function() {
+        assert.equal(errorCount, 0);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('only retries non-idempotent requests on 429 by default', function(done) {
+    var mocks = nock(SERVER)
+        .post('/foo')
+        .reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'})
+        .post('/foo')
+        .reply(503, {error: 'service_unavailable'});
+
+    var cloudantClient = new Client({
+      retryTimeout: 10,
+      retryStatusCodes: [429, 503],
+      retryErrors: true
+    });
+    cloudantClient(req('POST'), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 503);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('retries non-idempotent requests when opted in', function(done) {
+    var mocks = nock(SERVER)
+        .post('/foo')
+        .reply(503, {error: 'service_unavailable'})
+        .post('/foo')
+        .replyWithError({code: 'ECONNRESET', message: 'socket hang up'})
+        .post('/foo')
+        .reply(201, {ok: true});
+
+    var cloudantClient = new Client({
+      retryTimeout: 10,
+      retryStatusCodes: [429, 503],
+      retryErrors: true,
+      retryNonIdempotent: true
+    });
+    cloudantClient(req('POST'), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 201);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('honours the Retry-After header', function(done) {
+    var mocks = nock(SERVER)
+        .get('/foo')
+        .reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'}, {'Retry-After': '1'})
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = new Client({ retryTimeout: 10 });
+    var startTs = Date.now();
+    cloudantClient(req(), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+      assert.ok(Date.now() - startTs >= 1000);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('caps the Retry-After delay and keeps it within the time budget', function(done) {
+    var mocks = nock(SERVER)
+        .get('/foo').times(2)
+        .reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'}, {'Retry-After': '60'})
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = new Client({
+      retryTimeout: 10,
+      retryMaxTimeout: 100,
+      retryTotalTimeout: 150
+    });
+    var startTs = Date.now();
+    cloudantClient(req(), function(err, resp, data) {
+      assert.equal(err, null);
+      // 100ms, then the 50ms left of the budget, rather than 60s each time
+      assert.equal(resp.statusCode, 200);
+      var elapsed = Date.now() - startTs;
+      assert.ok(elapsed >= 140);
+      assert.ok(elapsed < 1000);
+      mocks.done();
+      done();
+    });
+  });
+
+  it('caps the backoff', function(done) {
+    var mocks = nock(SERVER)
+        .get('/foo').times(3)
+        .reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'})
+        .get('/foo')
+        .reply(200, {doc_count: 0});
+
+    var cloudantClient = new Client({
+      retryAttempts: 4,
+      retryTimeout: 100,
+      retryMaxTimeout: 150
+    });
+    var startTs = Date.now();
+    cloudantClient(req(), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 200);
+      // 100 + 150 + 150 rather than 100 + 200 + 400
+      var elapsed = Date.now() - startTs;
+      assert.ok(elapsed >= 400);
+      assert.ok(elapsed < 700);
+      mocks.done();
+      done();
+    });
+  });
+
+  ['full', 'decorrelated'].forEach(function(jitter) {
+    it('applies ' + jitter + ' jitter within the cap', function(done) {
+      var mocks = nock(SERVER)
+          .get('/foo').times(2)
+          .reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'})
+          .get('/foo')
+          .reply(200, {doc_count: 0});
+
+      var cloudantClient = new Client({
+        retryAttempts: 3,
+        retryTimeout: 50,
+        retryMaxTimeout: 100,
+        retryJitter: jitter
+      });
+      var startTs = Date.now();
+      cloudantClient(req(), function(err, resp, data) {
+        assert.equal(err, null);
+        assert.equal(resp.statusCode, 200);
+        assert.ok(Date.now() - startTs < 400);
+        mocks.done();
+        done();
+      });
+    });
+  });
+
+  it('gives up once the total time budget is exhausted', function(done) {
+    var mocks = nock(SERVER)
+        .get('/foo').times(2)
+        .reply(429, {error: 'too_many_requests', reason: 'Too Many Requests'});
+
+    var cloudantClient = new Client({
+      retryAttempts: 5,
+      retryTimeout: 200,
+      retryTotalTimeout: 300
+    });
+    cloudantClient(req(), function(err, resp, data) {
+      assert.equal(err, null);
+      assert.equal(resp.statusCode, 429);
+      mocks.done();
+      done();
+    });
+  });
+});
@@ -0,0 +1,267 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it before after */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const testing = require('../testing.js');
+
+const validate = Cloudant.query.validate;
+const match = Cloudant.query.match;
+
+describe('Cloudant Query validation', function() {
+  it('accepts valid queries', function() {
+    assert.deepEqual(validate({
+      selector: {
+        type: 'order',
+        total: { $gt: 100, $lte: 1000 },
+        $or: [{ status: { $in: ['new', 'paid'] } }, { 'customer.vip': true }],
+        items: { $elemMatch: { sku: { $regex: '^A' }, qty: { $mod: [2, 0] } } },
+        tags: { $not: { $size: 0 } }
+      },
+      fields: ['_id', 'total'],
+      sort: [{ total: 'desc' }, { type: 'desc' }],
+      limit: 50,
+      skip: 0,
+      use_index: ['orders', 'by-total'],
+      execution_stats: true
+    }), []);
+  });
+
+  it('reports unknown and misplaced operators', function() {
+    assert.deepEqual(validate({ selector: { total: { $equal: 100 }, $gt: 5, status: { $in: 'new' } } }), [
+      'Invalid operator $equal at selector.total',
+      'Operator $gt at selector must be applied to a field',
+      '$in at selector.status must be an array'
+    ]);
+    assert.deepEqual(validate({ selector: { $or: { a: 1 } } }), ['$or at selector must be an array of selectors']);
+    assert.deepEqual(validate({ selector: { a: { $elemMatch: { $text: 'x' } } } }),
+      ['$text at selector.a.$elemMatch can only be used at the top level of the selector']);
+  });
+
+  it('reports invalid options', function() {
+    assert.deepEqual(validate({}), ['The query must have a selector']);
+    assert.deepEqual(validate({
+      selector: {},
+      fields: 'total',
+      sort: [{ total: 'down' }, 'type', { a: 'asc', b: 'asc' }],
+      limit: -1,
+      use_index: [],
+      skp: 1
+    }), [
+      'sort[0] must be a field name or {"field": "asc" | "desc"}',
+      'sort[2] must be a field name or {"field": "asc" | "desc"}',
+      'fields must be an array of field names',
+      'limit must be a non-negative integer',
+      'use_index must be a design document name or [design document name, index name]',
+      'Unknown query option skp'
+    ]);
+    assert.deepEqual(validate({ selector: {}, sort: ['a', { b: 'desc' }] }), ['sort must use the same direction for every field']);
+  });
+});
+
+describe('Cloudant Query matching', function() {
+  var doc = {
+    _id: 'order1',
+    type: 'order',
+    total: 150,
+    status: 'paid',
+    customer: { name: 'Alice', 'first.name': 'Al' },
+    tags: ['new', 'big'],
+    items: [{ sku: 'A1', qty: 2 }, { sku: 'B2', qty: 1 }],
+    note: null
+  };
+
+  it('matches fields, nested fields and implicit equality', function() {
+    assert.ok(match({ type: 'order', 'customer.name': 'Alice' }, doc));
+    assert.ok(match({ customer: { name: 'Alice' } }, doc));
+    assert.ok(match({ 'customer.first\\.name': 'Al' }, doc));
+    assert.ok(match({ 'tags.1': 'big' }, doc));
+    assert.ok(match({ tags: ['new', 'big'] }, doc));
+    assert.ok(!match({ tags: 'new' }, doc));
+    assert.ok(!match({ type: 'invoice' }, doc));
+    assert.ok(match({}, doc));
+  });
+
+  it('treats missing fields as the server does', function() {
+    assert.ok(!match({ missing: { $ne: 1 } }, doc));
+    assert.ok(!match({ missing: { $lt: 1 } }, doc));
+    assert.ok(match({ missing: { $exists: false } }, doc));
+    assert.ok(match({ note: { $exists: true, $type: 'null' } }, doc));
+  });
+
+  it('compares values with the CouchDB collation', function() {
+    assert.ok(match({ total: { $gt: 100, $lt: 200 } }, doc));
+    // strings sort after numbers, and null before everything
+    assert.ok(match({ total: { $lt: '0' } }, doc));
+    assert.ok(match({ note: { $lt: false } }, doc));
+    assert.ok(match({ tags: { $gt: 'zzz' } }, doc));
+  });
+
+  it('supports the array, string and combination operators', function() {
+    assert.ok(match({ tags: { $in: ['old', 'big'] } }, doc));
+    assert.ok(match({ status: { $nin: ['new', 'shipped'] } }, doc));
+    assert.ok(match({ tags: { $all: ['big', 'new'], $size: 2 } }, doc));
+    assert.ok(match({ items: { $elemMatch: { sku: 'B2', qty: { $lt: 2 } } } }, doc));
+    assert.ok(!match({ items: { $allMatch: { qty: 2 } } }, doc));
+    assert.ok(match({ tags: { $elemMatch: { $eq: 'big' } } }, doc));
+    assert.ok(match({ customer: { $keyMapMatch: { $eq: 'name' } } }, doc));
+    assert.ok(match({ total: { $mod: [50, 0] } }, doc));
+    assert.ok(match({ status: { $regex: '^pa' } }, doc));
+    assert.ok(match({ status: { $beginsWith: 'pa' } }, doc));
+    assert.ok(match({ $or: [{ total: { $lt: 100 } }, { status: 'paid' }] }, doc));
+    assert.ok(match({ $nor: [{ total: { $lt: 100 } }, { status: 'new' }] }, doc));
+    assert.ok(match({ $and: [{ type: 'order' }, { $not: { status: 'new' } }] }, doc));
+    assert.ok(match({ total: { $or: [{ $lt: 100 }, { $gt: 120 }] } }, doc));
+  });
+
+  it('throws on invalid selectors', function() {
+    assert.throws(function() {
+      match({ total: { $equal: 150 } }, doc);
+    }, function(err) {
+      return err instanceof Cloudant.errors.CloudantError &&
+        err.message === 'Invalid selector: Invalid operator $equal at selector.total';
+    });
+    assert.throws(function() {
+      match({ $text: 'paid' }, doc);
+    }, /text index/);
+  });
+});
+
+describe('Cloudant Query builder', function() {
+  var db = Cloudant({ url: 'http://localhost:5984' }).db.use('animaldb');
+
+  it('builds the selector and options of a query', function() {
+    var q = db.query()
+      .where('type').eq('order')
+      .and('total').gt(100)
+      .and('total').lte(1000)
+      .and('tags').not().size(0)
+      .fields(['_id', 'total'])
+      .sort({ total: 'desc' })
+      .limit(50)
+      .useIndex('ddoc', 'name');
+    assert.deepEqual(q.toJSON(), {
+      selector: {
+        type: { $eq: 'order' },
+        total: { $gt: 100, $lte: 1000 },
+        tags: { $not: { $size: 0 } }
+      },
+      fields: ['_id', 'total'],
+      sort: [{ total: 'desc' }],
+      limit: 50,
+      use_index: ['ddoc', 'name']
+    });
+    assert.deepEqual(q.validate(), []);
+  });
+
+  it('joins clauses with $or, AND binding more tightly', function() {
+    var q = db.query()
+      .where('class').eq('bird').and('diet').in(['carnivore', 'omnivore'])
+      .or('legs').eq(2)
+      .or().not().group(db.query().where('a').exists().or('b').eq(1))
+      .and('tags').elemMatch(db.query().where('name').beginsWith('x'));
+    assert.deepEqual(q.selector(), {
+      $or: [
+        { class: { $eq: 'bird' }, diet: { $in: ['carnivore', 'omnivore'] } },
+        { legs: { $eq: 2 } },
+        {
+          $not: { $or: [{ a: { $exists: true } }, { b: { $eq: 1 } }] },
+          tags: { $elemMatch: { name: { $beginsWith: 'x' } } }
+        }
+      ]
+    });
+  });
+
+  it('combines overlapping conditions with $and', function() {
+    var q = db.query().where('total').gt(1).and().group({ total: { $gt: 5 } }).and('total').lt(10);
+    assert.deepEqual(q.selector(), {
+      $and: [{ total: { $gt: 1 } }, { total: { $gt: 5 } }, { total: { $lt: 10 } }]
+    });
+    assert.deepEqual(db.query().toJSON(), { selector: {} });
+  });
+
+  it('requires a field for conditions', function() {
+    assert.throws(function() {
+      db.query().eq(1);
+    }, /Name a field with where\(\), and\(\) or or\(\) before calling eq\(\)/);
+    assert.throws(function() {
+      new Cloudant.query.MangoQuery().find();
+    }, /db\.query\(\)/);
+  });
+
+  describe('against a server', function() {
+    var fake = null;
+    var cloudant = null;
+    var animals = null;
+
+    before(function() {
+      return testing.start().then(function(f) {
+        fake = f;
+        cloudant = Cloudant({ url: fake.url, plugin: 'promises' });
+        animals = cloudant.db.use('animaldb');
+        return cloudant.db.create('animaldb');
+      }).then(function() {
+        return animals.bulk({ docs: [
+          { _id: 'zebra', class: 'mammal', legs: 4 },
+          { _id: 'kookaburra', class: 'bird', legs: 2 },
+          { _id: 'panda', class: 'mammal', legs: 4 },
+          { _id: 'snipe', class: 'bird', legs: 2 },
+          { _id: 'aardvark', class: 'mammal', legs: 4 }
+        ] });
+      });
+    });
+
+    after(function() {
+      return cloudant.close().then(function() {
+        return fake.close();
+      });
+    });
+
+    it('finds and explains its query', function() {
+      var q = animals.query().where('class').eq('mammal').fields(['_id']).sort('_id').limit(2);
+      return q.find().then(function(data) {
+        assert.deepEqual(data.docs, [{ _id: 'aardvark' }, { _id: 'panda' }]);
+        return q.bookmark(data.bookmark).find();
+      }).then(function(data) {
+        assert.deepEqual(data.docs, [{ _id: 'zebra' }]);
+        return q.explain();
+      }).then(function(data) {
+        assert.equal(data.index.name, '_all_docs');
+        assert.equal(data.limit, 2);
+      });
+    });
+
+    it('follows the bookmarks of its query', function(done) {
+      var ids = [];
+      animals.query().where('legs').gt(2).sort('_id').limit(2).findAll({ pageSize: 1 })
+        .on('data', function(doc) {
+          ids.push(doc._id);
+        })
+        .on('error', done)
+        .on('end', function() {
+          assert.deepEqual(ids, ['aardvark', 'panda']);
+          // each page asked for one document
+          assert.deepEqual(fake.requests.filter(function(req) {
+            return req.path === '/animaldb/_find';
+          }).map(function(req) {
+            return req.body.limit;
+          }).slice(-2), [1, 1]);
+          done();
+        });
+    });
+  });
+});
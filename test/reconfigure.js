@@ -53,6 +53,22 @@ describe('Reconfigure', function() {
     done();
   });
 
+  it('allows an account and an IAM API key to be passed in', function(done) {
+    var credentials = { account: 'myaccount', iamApiKey: 'myapikey' };
+    var url = reconfigure(credentials);
+    url.should.be.a.String;
+    url.should.equal('https://myaccount.cloudant.com');
+    done();
+  });
+
+  it('does not add a password to the URL when an IAM API key is passed in', function(done) {
+    var credentials = { account: 'myaccount', password: 'mypassword', iamApiKey: 'myapikey' };
+    var url = reconfigure(credentials);
+    url.should.be.a.String;
+    url.should.equal('https://myaccount.cloudant.com');
+    done();
+  });
+
   it('allows complex passwords', function(done) {
     var credentials = { account: 'myaccount', password: 'mypassword[]{}!#&='};
     var url = reconfigure(credentials);
@@ -0,0 +1,176 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+
+const schedulerDoc = function(state, extra) {
+  return Object.assign({
+    database: '_replicator',
+    doc_id: 'rep1',
+    id: null,
+    state: state,
+    info: null,
+    error_count: 0
+  }, extra);
+};
+
+describe('Replication', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var cloudant = Cloudant({ account: ME, password: PASSWORD });
+
+  it('starts a replication with the client\'s credentials', function() {
+    var body = null;
+    var mocks = nock(SERVER)
+        .put(/^\/_replicator\/[0-9a-f]{32}$/)
+        .reply(201, function(uri, b) {
+          body = b;
+          return { ok: true, id: uri.split('/').pop(), rev: '1-123' };
+        });
+
+    return cloudant.replication.start('animaldb', 'https://example.com/backup', {
+      continuous: true,
+      createTarget: true,
+      selector: { type: 'zebra' }
+    }).then(function(data) {
+      assert.ok(/^[0-9a-f]{32}$/.test(data.id));
+      assert.deepEqual(body, {
+        source: { url: SERVER + '/animaldb', auth: { basic: { username: ME, password: PASSWORD } } },
+        target: 'https://example.com/backup',
+        continuous: true,
+        create_target: true,
+        selector: { type: 'zebra' }
+      });
+      mocks.done();
+    });
+  });
+
+  it('authenticates with an IAM API key', function(done) {
+    var mocks = nock(SERVER)
+        .put('/_replicator/rep1', {
+          source: { url: SERVER + '/a', auth: { iam: { api_key: 'CqbrIYzdO3btWV-5t4teJLY_etfT_dkccq-vO-5vCXSo' } } },
+          target: { url: SERVER + '/b', auth: { iam: { api_key: 'CqbrIYzdO3btWV-5t4teJLY_etfT_dkccq-vO-5vCXSo' } } },
+          filter: 'ddoc/myfilter'
+        })
+        .reply(201, { ok: true, id: 'rep1', rev: '1-123' });
+
+    var iam = Cloudant({ account: ME, iamApiKey: 'CqbrIYzdO3btWV-5t4teJLY_etfT_dkccq-vO-5vCXSo' });
+    iam.replication.start('a', 'b', { id: 'rep1', filter: 'ddoc/myfilter' }, function(err, data) {
+      assert.equal(err, null);
+      assert.equal(data.id, 'rep1');
+      mocks.done();
+      done();
+    });
+  });
+
+  it('reports the status of a replication with its job', function() {
+    var mocks = nock(SERVER)
+        .get('/_scheduler/docs/_replicator/rep1')
+        .reply(200, schedulerDoc('running', { id: 'abc+continuous' }))
+        .get('/_scheduler/jobs/abc%2Bcontinuous')
+        .reply(200, { id: 'abc+continuous', doc_id: 'rep1', history: [{ type: 'started' }] });
+
+    return cloudant.replication.status('rep1').then(function(status) {
+      assert.equal(status.state, 'running');
+      assert.equal(status.job.history[0].type, 'started');
+      mocks.done();
+    });
+  });
+
+  it('lists the replications with their jobs', function() {
+    var mocks = nock(SERVER)
+        .get('/_scheduler/docs/_replicator')
+        .query({ states: 'running,crashing' })
+        .reply(200, { docs: [schedulerDoc('running', { id: 'abc' }), schedulerDoc('crashing', { doc_id: 'rep2' })] })
+        .get('/_scheduler/jobs')
+        .reply(200, { jobs: [{ id: 'abc', database: '_replicator', doc_id: 'rep1' }] });
+
+    return cloudant.replication.list({ states: ['running', 'crashing'] }).then(function(list) {
+      assert.equal(list.length, 2);
+      assert.equal(list[0].job.id, 'abc');
+      assert.equal(list[1].job, null);
+      mocks.done();
+    });
+  });
+
+  it('cancels a replication', function() {
+    var mocks = nock(SERVER)
+        .get('/_replicator/rep1')
+        .reply(200, { _id: 'rep1', _rev: '2-456' })
+        .delete('/_replicator/rep1')
+        .query({ rev: '2-456' })
+        .reply(200, { ok: true, id: 'rep1', rev: '3-789' });
+
+    return cloudant.replication.cancel('rep1').then(function(data) {
+      assert.equal(data.ok, true);
+      mocks.done();
+    });
+  });
+
+  it('waits for a replication to complete', function() {
+    var mocks = nock(SERVER)
+        .get('/_scheduler/docs/_replicator/rep1')
+        .reply(404, { error: 'not_found', reason: 'unknown' })
+        .get('/_scheduler/docs/_replicator/rep1')
+        .reply(200, schedulerDoc('initializing'))
+        .get('/_scheduler/docs/_replicator/rep1')
+        .reply(200, schedulerDoc('completed', { info: { docs_written: 10 } }));
+
+    return cloudant.replication.waitFor('rep1', 'completed', { interval: 10 }).then(function(status) {
+      assert.equal(status.state, 'completed');
+      assert.equal(status.info.docs_written, 10);
+      mocks.done();
+    });
+  });
+
+  it('fails if the replication fails while waiting', function(done) {
+    var mocks = nock(SERVER)
+        .get('/_scheduler/docs/_replicator/rep1')
+        .reply(200, schedulerDoc('failed', { info: { error: 'db_not_found: could not open animaldb' } }));
+
+    cloudant.replication.waitFor('rep1', function(err) {
+      assert.ok(err instanceof Cloudant.errors.CloudantError);
+      assert.equal(err.state, 'failed');
+      assert.ok(/db_not_found/.test(err.message));
+      mocks.done();
+      done();
+    });
+  });
+
+  it('gives up waiting after the timeout', function() {
+    var mocks = nock(SERVER)
+        .get('/_scheduler/docs/_replicator/rep1')
+        .times(2)
+        .reply(200, schedulerDoc('pending'));
+
+    return cloudant.replication.waitFor('rep1', 'completed', { interval: 20, timeout: 30 }).then(function() {
+      assert.fail('waitFor should have timed out');
+    }, function(err) {
+      assert.equal(err.code, 'ETIMEDOUT');
+      assert.equal(err.status.state, 'pending');
+      mocks.done();
+    });
+  });
+});
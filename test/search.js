@@ -0,0 +1,237 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const nock = require('./nock.js');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'library';
+const SEARCH = '/' + DBNAME + '/_design/library/_search/books';
+
+const rows = function(ids) {
+  return ids.map(function(id) {
+    return { id: id, order: [1, 0], fields: {} };
+  });
+};
+
+describe('Cloudant Search query builder', function() {
+  var search = Cloudant.search;
+
+  it('escapes Lucene special characters', function() {
+    assert.equal(search.escape('a+b-c&&d||e!(f){g}[h]^i"j~k*l?m:n\\o/p'),
+      'a\\+b\\-c\\&\\&d\\|\\|e\\!\\(f\\)\\{g\\}\\[h\\]\\^i\\"j\\~k\\*l\\?m\\:n\\\\o\\/p');
+  });
+
+  it('matches everything by default', function() {
+    assert.equal(search.query().toString(), '*:*');
+  });
+
+  it('escapes terms and quotes values with whitespace', function() {
+    var q = search.query()
+      .match('isbn', '978-0141439600')
+      .match('author', 'Charles "Boz" Dickens')
+      .match('year', 1859)
+      .match('available', true);
+    assert.equal(q.toString(), 'isbn:978\\-0141439600 AND ' +
+      'author:"Charles \\"Boz\\" Dickens" AND year:1859 AND available:true');
+  });
+
+  it('combines clauses with operators, negation and groups', function() {
+    var q = search.query()
+      .phrase('title', 'Great Expectations')
+      .or().group(search.query().match('author', 'dickens').and().not().match('language', 'French'));
+    assert.equal(q.toString(),
+      'title:"Great Expectations" OR (author:dickens AND NOT language:French)');
+  });
+
+  it('builds inclusive, exclusive and open ranges', function() {
+    var q = search.query()
+      .range('year', 1850, 1860)
+      .range('price', 10, null, true)
+      .range('title', 'a', 'm');
+    assert.equal(q.toString(),
+      'year:[1850 TO 1860] AND price:{10 TO Infinity} AND title:[a TO m]');
+  });
+
+  it('includes counts, ranges, drilldown, group_field and include_docs', function() {
+    var q = search.query()
+      .match('author', 'dickens')
+      .counts(['publisher'])
+      .counts('language')
+      .ranges('price', { cheap: [0, 10], expensive: [10, null], custom: '{20 TO 30]' })
+      .drilldown('language', 'English')
+      .drilldown('format', 'paperback')
+      .groupField('publisher')
+      .includeDocs()
+      .sort('-year')
+      .limit(10);
+    assert.deepEqual(q.toJSON(), {
+      q: 'author:dickens',
+      counts: ['publisher', 'language'],
+      ranges: { price: { cheap: '[0 TO 10]', expensive: '[10 TO Infinity]', custom: '{20 TO 30]' } },
+      drilldown: [['language', 'English'], ['format', 'paperback']],
+      group_field: 'publisher',
+      include_docs: true,
+      sort: '-year',
+      limit: 10
+    });
+  });
+
+  it('normalizes facets', function() {
+    assert.deepEqual(search.normalizeFacets({
+      counts: { publisher: { Penguin: 3, Vintage: 1 } },
+      ranges: { price: { cheap: 2, expensive: 0 } }
+    }), {
+      counts: { publisher: [{ value: 'Penguin', count: 3 }, { value: 'Vintage', count: 1 }] },
+      ranges: { price: [{ label: 'cheap', count: 2 }, { label: 'expensive', count: 0 }] }
+    });
+    assert.deepEqual(search.normalizeFacets({ rows: [] }), { counts: {}, ranges: {} });
+  });
+});
+
+describe('Cloudant Search searchAll', function() {
+  if (process.env.NOCK_OFF) {
+    return;
+  }
+
+  var db = Cloudant({account: ME, password: PASSWORD}).db.use(DBNAME);
+
+  it('follows bookmarks until a page comes back short', function(done) {
+    var mocks = nock(SERVER)
+        .post(SEARCH, { q: 'author:dickens', limit: 2 })
+        .reply(200, { total_rows: 5, rows: rows(['a', 'b']), bookmark: 'b1' })
+        .post(SEARCH, { q: 'author:dickens', limit: 2, bookmark: 'b1' })
+        .reply(200, { total_rows: 5, rows: rows(['c', 'd']), bookmark: 'b2' })
+        .post(SEARCH, { q: 'author:dickens', limit: 2, bookmark: 'b2' })
+        .reply(200, { total_rows: 5, rows: rows(['e']), bookmark: 'b3' });
+
+    var ids = [];
+    db.searchAll('library', 'books', 'author:dickens', { pageSize: 2 })
+      .on('data', function(row) {
+        ids.push(row.id);
+      })
+      .on('end', function() {
+        assert.deepEqual(ids, ['a', 'b', 'c', 'd', 'e']);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('treats the query\'s limit as the total number of rows', function(done) {
+    var mocks = nock(SERVER)
+        .post(SEARCH, { q: 'author:dickens', limit: 2 })
+        .reply(200, { total_rows: 5, rows: rows(['a', 'b']), bookmark: 'b1' })
+        .post(SEARCH, { q: 'author:dickens', limit: 1, bookmark: 'b1' })
+        .reply(200, { total_rows: 5, rows: rows(['c']), bookmark: 'b2' });
+
+    var ids = [];
+    db.searchAll('library', 'books', { q: 'author:dickens', limit: 3 }, { pageSize: 2 })
+      .on('data', function(row) {
+        ids.push(row.id);
+      })
+      .on('end', function() {
+        assert.deepEqual(ids, ['a', 'b', 'c']);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('accepts a query builder and emits normalized facets', function(done) {
+    var q = Cloudant.search.query()
+      .match('author', 'Charles Dickens')
+      .counts(['publisher'])
+      .drilldown('language', 'English')
+      .includeDocs();
+    var mocks = nock(SERVER)
+        .post(SEARCH, {
+          q: 'author:"Charles Dickens"',
+          counts: ['publisher'],
+          drilldown: [['language', 'English']],
+          include_docs: true,
+          limit: 100
+        })
+        .reply(200, { total_rows: 1, rows: rows(['a']), bookmark: 'b1', counts: { publisher: { Penguin: 1 } } });
+
+    var facets = null;
+    var ids = [];
+    db.searchAll('library', 'books', q)
+      .on('facets', function(f) {
+        facets = f;
+      })
+      .on('data', function(row) {
+        ids.push(row.id);
+      })
+      .on('end', function() {
+        assert.deepEqual(ids, ['a']);
+        assert.deepEqual(facets, { counts: { publisher: [{ value: 'Penguin', count: 1 }] }, ranges: {} });
+        mocks.done();
+        done();
+      });
+  });
+
+  it('returns grouped results as a single page of groups', function(done) {
+    var mocks = nock(SERVER)
+        .post(SEARCH, { q: 'author:dickens', group_field: 'publisher', limit: 100 })
+        .reply(200, { total_rows: 3, groups: [{ by: 'Penguin', total_rows: 2, rows: rows(['a', 'b']) }, { by: 'Vintage', total_rows: 1, rows: rows(['c']) }] });
+
+    var groups = [];
+    db.searchAll('library', 'books', { q: 'author:dickens', group_field: 'publisher' })
+      .on('data', function(group) {
+        groups.push(group.by);
+      })
+      .on('end', function() {
+        assert.deepEqual(groups, ['Penguin', 'Vintage']);
+        mocks.done();
+        done();
+      });
+  });
+
+  it('is an async iterator', function() {
+    if (typeof Symbol.asyncIterator === 'undefined') {
+      this.skip();
+    }
+    var mocks = nock(SERVER)
+        .post(SEARCH, { q: 'author:dickens', limit: 100, bookmark: 'b1' })
+        .reply(200, { total_rows: 2, rows: rows(['c']), bookmark: 'b2' });
+
+    var iterator = db.searchAll('library', 'books', { q: 'author:dickens', bookmark: 'b1' })[Symbol.asyncIterator]();
+    return iterator.next().then(function(result) {
+      assert.equal(result.value.id, 'c');
+      return iterator.next();
+    }).then(function(result) {
+      assert.equal(result.done, true);
+      mocks.done();
+    });
+  });
+
+  it('emits an error if a page fails', function(done) {
+    var mocks = nock(SERVER)
+        .post(SEARCH)
+        .reply(400, { error: 'bad_request', reason: 'Cannot parse \'author:(\'' });
+
+    db.searchAll('library', 'books', 'author:(')
+      .on('data', function() {})
+      .on('error', function(err) {
+        assert.equal(err.statusCode, 400);
+        mocks.done();
+        done();
+      });
+  });
+});
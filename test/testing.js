@@ -0,0 +1,231 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it before after afterEach */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const testing = require('../testing.js');
+
+const ME = 'nodejs';
+const PASSWORD = 'sjedon';
+
+describe('Fake server', function() {
+  var fake = null;
+  var cloudant = null;
+
+  before(function() {
+    return testing.start({ username: ME, password: PASSWORD }).then(function(f) {
+      fake = f;
+      cloudant = Cloudant({ url: fake.url, plugin: 'promises' });
+    });
+  });
+
+  afterEach(function() {
+    fake.reset();
+  });
+
+  after(function() {
+    return cloudant.close().then(function() {
+      return fake.close();
+    });
+  });
+
+  it('pings the server with the client\'s credentials', function(done) {
+    Cloudant({ url: fake.url }, function(err, client, pong) {
+      assert.equal(err, null);
+      assert.equal(pong.couchdb, 'Welcome');
+      assert.equal(pong.userCtx.name, ME);
+      client.close(done);
+    });
+  });
+
+  it('rejects the wrong credentials', function() {
+    var url = fake.url.replace(PASSWORD, 'wrong');
+    var c = Cloudant({ url: url, plugin: 'promises' });
+    return c.db.list().then(function() {
+      assert.fail('should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 401);
+      assert.ok(err instanceof Cloudant.errors.UnauthorizedError);
+      return c.close();
+    });
+  });
+
+  it('creates, lists and deletes databases', function() {
+    return cloudant.db.create('animaldb').then(function() {
+      return cloudant.db.create('animaldb');
+    }).then(function() {
+      assert.fail('should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 412);
+      return cloudant.db.list();
+    }).then(function(dbs) {
+      assert.deepEqual(dbs, ['animaldb']);
+      return cloudant.db.destroy('animaldb');
+    }).then(function() {
+      return cloudant.db.get('animaldb');
+    }).then(function() {
+      assert.fail('should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 404);
+      assert.equal(err.reason, 'Database does not exist.');
+    });
+  });
+
+  it('keeps the revisions of documents, rejecting conflicting updates', function() {
+    var db = cloudant.db.use('animaldb');
+    var first = null;
+    return cloudant.db.create('animaldb').then(function() {
+      return db.insert({ _id: 'zebra', legs: 4 });
+    }).then(function(data) {
+      first = data.rev;
+      assert.ok(/^1-[0-9a-f]{32}$/.test(first));
+      return db.insert({ _id: 'zebra', _rev: first, legs: 3 });
+    }).then(function(data) {
+      assert.ok(/^2-/.test(data.rev));
+      return db.insert({ _id: 'zebra', _rev: first, legs: 5 });
+    }).then(function() {
+      assert.fail('should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 409);
+      assert.ok(err instanceof Cloudant.errors.ConflictError);
+      return db.get('zebra', { revs: true });
+    }).then(function(doc) {
+      assert.equal(doc.legs, 3);
+      assert.equal(doc._revisions.start, 2);
+      assert.equal(doc._revisions.ids[1], first.slice(2));
+      return db.destroy('zebra', doc._rev);
+    }).then(function() {
+      return db.get('zebra');
+    }).then(function() {
+      assert.fail('should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 404);
+      assert.equal(err.reason, 'deleted');
+    });
+  });
+
+  it('supports _bulk_docs, _bulk_get and _all_docs', function() {
+    var db = cloudant.db.use('animaldb');
+    return cloudant.db.create('animaldb').then(function() {
+      return db.bulk({ docs: [{ _id: 'zebra' }, { _id: 'aardvark' }, { _id: 'badger' }] });
+    }).then(function(results) {
+      assert.equal(results.length, 3);
+      return db.bulk({ docs: [{ _id: 'zebra' }, { _id: 'cat' }] });
+    }).then(function(results) {
+      assert.equal(results[0].error, 'conflict');
+      assert.equal(results[1].id, 'cat');
+      return db.list({ include_docs: true, startkey: 'b', limit: 2 });
+    }).then(function(data) {
+      assert.equal(data.total_rows, 4);
+      assert.deepEqual(data.rows.map(function(row) {
+        return row.doc._id;
+      }), ['badger', 'cat']);
+      return cloudant.request({ db: 'animaldb', path: '_bulk_get', method: 'post', body: { docs: [{ id: 'cat' }, { id: 'dog' }] } });
+    }).then(function(data) {
+      assert.equal(data.results[0].docs[0].ok._id, 'cat');
+      assert.equal(data.results[1].docs[0].error.error, 'not_found');
+    });
+  });
+
+  it('finds documents with Cloudant Query', function() {
+    var db = cloudant.db.use('animaldb');
+    return cloudant.db.create('animaldb').then(function() {
+      return db.bulk({ docs: [
+        { _id: 'zebra', class: 'mammal', legs: 4, diet: 'herbivore' },
+        { _id: 'kookaburra', class: 'bird', legs: 2, diet: 'carnivore' },
+        { _id: 'panda', class: 'mammal', legs: 4, diet: 'herbivore' },
+        { _id: 'snipe', class: 'bird', legs: 2, diet: 'omnivore' }
+      ] });
+    }).then(function() {
+      return db.find({
+        selector: { class: 'mammal', $or: [{ diet: 'herbivore' }, { legs: { $lt: 2 } }] },
+        fields: ['_id', 'legs'],
+        sort: [{ _id: 'desc' }]
+      });
+    }).then(function(data) {
+      assert.deepEqual(data.docs, [{ _id: 'zebra', legs: 4 }, { _id: 'panda', legs: 4 }]);
+      assert.ok(data.warning);
+      return db.index({ index: { fields: ['class'] }, ddoc: 'classes', name: 'by-class' });
+    }).then(function(data) {
+      assert.equal(data.result, 'created');
+      return db.find({ selector: { class: 'bird', diet: { $in: ['carnivore', 'omnivore'] } }, limit: 1 });
+    }).then(function(data) {
+      assert.equal(data.warning, undefined);
+      assert.deepEqual(data.docs.map(function(doc) {
+        return doc._id;
+      }), ['kookaburra']);
+      return db.find({ selector: { class: 'bird' }, limit: 1, bookmark: data.bookmark });
+    }).then(function(data) {
+      assert.deepEqual(data.docs.map(function(doc) {
+        return doc._id;
+      }), ['snipe']);
+      return db.index.del({ ddoc: 'classes', name: 'by-class' });
+    }).then(function() {
+      return db.index();
+    }).then(function(data) {
+      assert.deepEqual(data.indexes.map(function(index) {
+        return index.name;
+      }), ['_all_docs']);
+    });
+  });
+
+  it('stores the security object and the CORS configuration', function() {
+    var db = cloudant.db.use('animaldb');
+    return cloudant.db.create('animaldb').then(function() {
+      return db.set_security({ nobody: ['_reader'] });
+    }).then(function() {
+      return db.get_security();
+    }).then(function(data) {
+      assert.deepEqual(data, { cloudant: { nobody: ['_reader'] } });
+      return cloudant.set_cors({ enable_cors: true, allow_credentials: true, origins: ['https://example.com'] });
+    }).then(function() {
+      return cloudant.get_cors();
+    }).then(function(data) {
+      assert.deepEqual(data.origins, ['https://example.com']);
+    });
+  });
+
+  it('authenticates with session cookies', function(done) {
+    Cloudant({ url: fake.url, plugin: 'cookieauth' }, function(err, client) {
+      assert.equal(err, null);
+      client.db.list(function(err, dbs) {
+        assert.equal(err, null);
+        assert.deepEqual(dbs, []);
+        assert.ok(fake.requests.some(function(req) {
+          return req.method === 'POST' && req.path === '/_session';
+        }));
+        client.close(done);
+      });
+    });
+  });
+
+  it('injects 429 responses', function() {
+    var c = Cloudant({ url: fake.url, plugin: ['retry', 'promises'], retryTimeout: 10 });
+    fake.inject429(2, /_all_dbs/);
+    return c.db.list().then(function(dbs) {
+      assert.deepEqual(dbs, []);
+      assert.equal(fake.requests.length, 3);
+      fake.inject429(1);
+      return cloudant.db.list();
+    }).then(function() {
+      assert.fail('should have failed');
+    }, function(err) {
+      assert.equal(err.statusCode, 429);
+      return c.close();
+    });
+  });
+});
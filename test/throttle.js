@@ -0,0 +1,274 @@
+// Copyright © 2017 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+'use strict';
+
+const assert = require('assert');
+const Cloudant = require('../cloudant.js');
+const createThrottle = require('../lib/throttle.js');
+const nock = require('./nock.js');
+const stream = require('stream');
+
+const ME = process.env.cloudant_username || 'nodejs';
+const PASSWORD = process.env.cloudant_password || 'sjedon';
+const SERVER = 'https://' + ME + '.cloudant.com';
+const DBNAME = 'animaldb';
+
+describe('Throttle', function() {
+  describe('classify', function() {
+    var classify = createThrottle.classify;
+    var cls = function(method, path) {
+      return classify({ method: method, url: SERVER + path });
+    };
+
+    it('classifies document reads as lookups', function() {
+      assert.equal(cls('GET', '/animaldb/zebra'), 'lookup');
+      assert.equal(cls('HEAD', '/animaldb/zebra'), 'lookup');
+      assert.equal(cls('GET', '/animaldb/_all_docs'), 'lookup');
+      assert.equal(cls('POST', '/animaldb/_all_docs'), 'lookup');
+      assert.equal(cls('POST', '/animaldb/_bulk_get'), 'lookup');
+    });
+
+    it('classifies document changes as writes', function() {
+      assert.equal(cls('PUT', '/animaldb/zebra'), 'write');
+      assert.equal(cls('DELETE', '/animaldb/zebra'), 'write');
+      assert.equal(cls('POST', '/animaldb/_bulk_docs'), 'write');
+      assert.equal(cls('POST', '/animaldb'), 'write');
+    });
+
+    it('classifies views, searches and queries as queries', function() {
+      assert.equal(cls('GET', '/animaldb/_design/views101/_view/latin_name'), 'query');
+      assert.equal(cls('POST', '/animaldb/_design/views101/_search/animals'), 'query');
+      assert.equal(cls('POST', '/animaldb/_find'), 'query');
+      assert.equal(cls('GET', '/animaldb/_changes'), 'query');
+    });
+
+    it('classifies server-level requests as other', function() {
+      assert.equal(cls('POST', '/_session'), 'other');
+      assert.equal(cls('GET', '/_all_dbs'), 'other');
+      assert.equal(cls('GET', '/'), 'other');
+    });
+  });
+
+  describe('limits', function() {
+    // a terminal handler which replies once told to
+    var pending = [];
+    var next = function(req, callback) {
+      var r = new stream.PassThrough();
+      pending.push(function() {
+        callback(null, { statusCode: 200 }, {});
+        r.end();
+      });
+      return r;
+    };
+    var req = function(method, path) {
+      return { method: method, url: SERVER + '/' + DBNAME + '/' + path };
+    };
+
+    it('sends no more than maxInFlight requests at once', function(done) {
+      pending = [];
+      var throttle = createThrottle({ maxInFlight: 2 });
+      var replies = 0;
+      var callback = function() {
+        replies++;
+      };
+      for (var i = 0; i < 5; i++) {
+        throttle(req('GET', 'doc' + i), callback, next);
+      }
+      assert.equal(pending.length, 2);
+      assert.equal(throttle.stats().inFlight, 2);
+      assert.equal(throttle.stats().queued, 3);
+      assert.equal(throttle.stats().classes.lookup.queued, 3);
+      pending.shift()();
+      setTimeout(function() {
+        assert.equal(replies, 1);
+        assert.equal(pending.length, 2);
+        assert.equal(throttle.stats().queued, 2);
+        while (pending.length) {
+          pending.shift()();
+        }
+        setTimeout(function() {
+          while (pending.length) {
+            pending.shift()();
+          }
+          setTimeout(function() {
+            var stats = throttle.stats();
+            assert.equal(replies, 5);
+            assert.equal(stats.inFlight, 0);
+            assert.equal(stats.queued, 0);
+            assert.equal(stats.classes.lookup.sent, 5);
+            assert.equal(stats.waitTime.count, 5);
+            done();
+          }, 10);
+        }, 10);
+      }, 10);
+    });
+
+    it('sends queued requests with a higher priority first', function(done) {
+      pending = [];
+      var order = [];
+      var throttle = createThrottle({
+        maxInFlight: 1,
+        priority: function(req, cls) {
+          return cls === 'write' ? 1 : 0;
+        }
+      });
+      var sent = function(req, callback) {
+        order.push(req.method + ' ' + req.url.split('/').pop());
+        return next(req, callback);
+      };
+      var check = function() {
+        if (pending.length) {
+          pending.shift()();
+          return setTimeout(check, 5);
+        }
+        assert.deepEqual(order, ['GET a', 'PUT c', 'PUT e', 'GET b', 'GET d']);
+        done();
+      };
+      throttle(req('GET', 'a'), function() {}, sent);
+      throttle(req('GET', 'b'), function() {}, sent);
+      throttle(req('PUT', 'c'), function() {}, sent);
+      throttle(req('GET', 'd'), function() {}, sent);
+      throttle(req('PUT', 'e'), function() {}, sent);
+      check();
+    });
+
+    it('limits the rate of each class', function(done) {
+      var throttle = createThrottle({ rates: { write: 2 } });
+      var times = [];
+      var start = Date.now();
+      var immediate = function(req, callback) {
+        times.push(Date.now() - start);
+        callback(null, { statusCode: 200 }, {});
+      };
+      var remaining = 4;
+      var callback = function() {
+        if (--remaining === 0) {
+          // two requests are sent straight away and then one every 500ms
+          assert.ok(times[1] < 100);
+          assert.ok(times[2] >= 400);
+          assert.ok(times[3] >= 900);
+          assert.ok(throttle.stats().waitTime.max >= 900);
+          done();
+        }
+      };
+      // lookups aren't rate limited
+      throttle(req('GET', 'a'), function() {}, function(req, callback) {
+        callback(null, { statusCode: 200 }, {});
+      });
+      for (var i = 0; i < 4; i++) {
+        throttle(req('PUT', 'doc' + i), callback, immediate);
+      }
+    });
+
+    it('passes requests straight through without options', function() {
+      var throttle = createThrottle();
+      var r = new stream.PassThrough();
+      assert.strictEqual(throttle(req('GET', 'a'), function() {}, function() {
+        return r;
+      }), r);
+      assert.equal(throttle.stats().inFlight, 1);
+      r.end();
+      r.resume();
+    });
+  });
+
+  describe('client', function() {
+    if (process.env.NOCK_OFF) {
+      return;
+    }
+
+    it('queues requests and reports stats', function(done) {
+      var mocks = nock(SERVER)
+          .get('/' + DBNAME + '/zebra')
+          .times(3)
+          .delay(20)
+          .reply(200, { _id: 'zebra' });
+
+      var cloudant = Cloudant({ account: ME, password: PASSWORD, throttle: { maxInFlight: 1 } });
+      var db = cloudant.db.use(DBNAME);
+      var remaining = 3;
+      var check = function(err, doc) {
+        assert.equal(err, null);
+        assert.equal(doc._id, 'zebra');
+        if (--remaining === 0) {
+          var stats = cloudant.stats();
+          assert.equal(stats.queued, 0);
+          assert.equal(stats.classes.lookup.sent, 3);
+          assert.ok(stats.waitTime.max >= 20);
+          mocks.done();
+          done();
+        }
+      };
+      db.get('zebra', check);
+      db.get('zebra', check);
+      db.get('zebra', check);
+      assert.equal(cloudant.stats().queued, 2);
+    });
+
+    it('streams the response of a queued request', function(done) {
+      var mocks = nock(SERVER)
+          .get('/' + DBNAME + '/_all_docs')
+          .times(2)
+          .reply(200, { total_rows: 0, offset: 0, rows: [] });
+
+      var cloudant = Cloudant({ account: ME, password: PASSWORD, throttle: { maxInFlight: 1 } });
+      var db = cloudant.db.use(DBNAME);
+      db.list(function(err) {
+        assert.equal(err, null);
+      });
+      var statusCode = null;
+      var data = '';
+      db.list().on('response', function(response) {
+        statusCode = response.statusCode;
+      }).on('data', function(chunk) {
+        data += chunk;
+      }).on('end', function() {
+        assert.equal(statusCode, 200);
+        assert.equal(JSON.parse(data).total_rows, 0);
+        mocks.done();
+        done();
+      });
+    });
+
+    it('buffers a body piped into a queued request', function(done) {
+      var mocks = nock(SERVER)
+          .get('/' + DBNAME)
+          .delay(20)
+          .reply(200, { db_name: DBNAME })
+          .put('/' + DBNAME + '/zebra/photo.jpg', 'black and white')
+          .reply(201, { ok: true, id: 'zebra', rev: '1-123' });
+
+      var cloudant = Cloudant({ account: ME, password: PASSWORD, throttle: { maxInFlight: 1 } });
+      var db = cloudant.db.use(DBNAME);
+      db.info(function(err) {
+        assert.equal(err, null);
+      });
+      var source = new stream.PassThrough();
+      var upload = db.attachment.insert('zebra', 'photo.jpg', null, 'image/jpeg');
+      source.pipe(upload);
+      source.write('black and ');
+      source.end('white');
+      var data = '';
+      upload.on('data', function(chunk) {
+        data += chunk;
+      }).on('end', function() {
+        assert.equal(JSON.parse(data).ok, true);
+        mocks.done();
+        done();
+      });
+    });
+  });
+});